@@ -0,0 +1,202 @@
+'use strict';
+
+import { isObject } from 'lodash';
+import EventEmitter from 'wolfy87-eventemitter';
+
+import HCAdapter, { adapterEvents } from './HCAdapter';
+import { AvailabilityChecker } from './AvailabilityChecker';
+import { SDKLoader } from './SDKLoader';
+import Storage from './Storage';
+
+/**
+ * Class that groups everything an adapter needs to run isolated from other adapters on the same page:
+ * its configuration, SDK loader, availability checker, storage and events emitter
+ *
+ * The module level functions work with a default instance, "createInstance" creates new ones
+ */
+export default class AdapterInstance {
+    /**
+     * @param {Conf} conf
+     */
+    constructor (conf) {
+        this.conf = conf;
+        this.sdkLoader = new SDKLoader(conf);
+        this.availabilityChecker = new AvailabilityChecker(conf, this.sdkLoader);
+        this.storage = new Storage(conf);
+        // adapter created by the last "build" call
+        this.liveAdapter = null;
+
+        /**
+         * Emitter of all the adapter events, see "adapterEvents" in HCAdapter for the list and their data
+         *
+         * @type {EventEmitter}
+         */
+        this.events = new EventEmitter();
+    }
+
+    /**
+     * Configure the adapter with the given object
+     *
+     * @param  {Object} conf
+     */
+    configure (conf = {}) {
+        this.conf.set(conf);
+    }
+
+    setRoomFunction (roomFunction) {
+        this.conf.setRoomFunction(roomFunction);
+    }
+
+    /**
+     * Get the resolved configuration, with the default values of the missing keys
+     *
+     * @return {Object}
+     */
+    getConfiguration () {
+        return this.conf.getAll();
+    }
+
+    /**
+     * Build the actual adapter
+     *
+     * The returned function creates the adapter for the bot instance and returns the control API
+     * (startChat, closeChat, isChatOpen, getChatState, getChatInfo, sendSystemMessage, cancelUpload). The same
+     * methods of the instance fail until this function is called
+     *
+     * @return {Function}
+     */
+    build () {
+        return (botInstance) => {
+            if (!isObject(botInstance)) {
+                throw new Error('Invalid argument');
+            }
+
+            const adapter = new HCAdapter(botInstance, {
+                conf: this.conf,
+                sdkLoader: this.sdkLoader,
+                availabilityChecker: this.availabilityChecker,
+                storage: this.storage,
+            });
+            this.liveAdapter = adapter;
+            // re-emit all the adapter events
+            adapterEvents.forEach((eventName) => {
+                adapter.on(eventName, (data) => {
+                    this.events.trigger(eventName, [data]);
+                });
+            });
+
+            return {
+                startChat: this.startChat.bind(this),
+                closeChat: this.closeChat.bind(this),
+                isChatOpen: this.isChatOpen.bind(this),
+                getChatState: this.getChatState.bind(this),
+                getChatInfo: this.getChatInfo.bind(this),
+                sendSystemMessage: this.sendSystemMessage.bind(this),
+                cancelUpload: this.cancelUpload.bind(this),
+            };
+        };
+    }
+
+    /**
+     * Check if the escalation conditions are met
+     *
+     * Resolves with { agentsAvailable, reason, error, room, lang }, see AvailabilityChecker.check
+     *
+     * @return {Promise}
+     */
+    checkEscalationConditions () {
+        return this.availabilityChecker.check();
+    }
+
+    validateHyperchatApp () {
+        return this.sdkLoader.load();
+    }
+
+    /**
+     * Start a chat without waiting for the bot escalation
+     *
+     * @param  {Object}  userData Same data the escalation form sends: FIRST_NAME, LAST_NAME, EMAIL_ADDRESS and extra info
+     * @return {Promise}          Resolves with the outcome { status, chatId, reason, error }, see "start" in HCAdapter
+     */
+    startChat (userData = {}) {
+        try {
+            return Promise.resolve(this._getLiveAdapter().start(userData));
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+
+    /**
+     * Close the current chat as the user
+     *
+     * @param  {string}  reason Optional, sent to the agent as a system message before closing
+     * @return {Promise}
+     */
+    closeChat (reason) {
+        try {
+            return this._getLiveAdapter().endChat(reason);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+
+    /**
+     * Check if there's an open chat
+     *
+     * @return {Boolean}
+     */
+    isChatOpen () {
+        return this._getLiveAdapter().isChatOpen();
+    }
+
+    /**
+     * Get the state of the chat: "idle", "connecting", "queued", "active", "closing" or "closed"
+     *
+     * @return {string}
+     */
+    getChatState () {
+        return this._getLiveAdapter().chatState;
+    }
+
+    /**
+     * Get the information of the current chat: { chatId, room, lang, agent, state, surveyPending }
+     *
+     * @return {Object}
+     */
+    getChatInfo () {
+        return this._getLiveAdapter().getChatInfo();
+    }
+
+    /**
+     * Display a system message in the bot window
+     *
+     * @param  {mixed}  message Text or system message object
+     * @return {string}         ID of the displayed message
+     */
+    sendSystemMessage (message) {
+        return this._getLiveAdapter().sendSystemMessage(message);
+    }
+
+    /**
+     * Cancel a file upload that is still in progress
+     *
+     * @param  {string}  messageId Bot message ID of the file, as received in "media:upload-progress"
+     * @return {Boolean}           Whether it was cancelled, false if it's already finished
+     */
+    cancelUpload (messageId) {
+        return this._getLiveAdapter().cancelUpload(messageId);
+    }
+
+    /**
+     * Get the adapter created by "build", failing if there's none yet. All the control API methods
+     * need it: the synchronous ones throw and the asynchronous ones reject
+     *
+     * @return {HCAdapter}
+     */
+    _getLiveAdapter () {
+        if (!this.liveAdapter) {
+            throw new Error('The adapter has not been built yet');
+        }
+        return this.liveAdapter;
+    }
+}
@@ -1,84 +1,187 @@
 'use strict';
 
-import { isEmpty, isFunction } from 'lodash';
+import { isEmpty, isFunction, isUndefined } from 'lodash';
 
 import Conf from './Conf';
 import SDKLoader from './SDKLoader';
+import WorkingTime from './WorkingTime';
+
+/**
+ * Reasons why the escalation conditions are not met, returned in the "reason" property of the check response
+ *     - outside-hours:   the current time is outside the "workingTime" schedule
+ *     - no-agents:       there are no available agents in the room
+ *     - sdk-unavailable: the HyperChat SDK could not be loaded or initialized
+ *     - api-error:       the request to get the available agents failed
+ *     - misconfigured:   the room or language configurations are not valid
+ *
+ * @type {Object}
+ */
+export const reasons = {
+    OUTSIDE_HOURS: 'outside-hours',
+    NO_AGENTS: 'no-agents',
+    SDK_UNAVAILABLE: 'sdk-unavailable',
+    API_ERROR: 'api-error',
+    MISCONFIGURED: 'misconfigured',
+};
 
 /**
  * Class that contains a main "check" method to test out whether there are available agents or not
+ *
+ * It checks the configuration and loads the SDK of the adapter instance it belongs to
  */
-class AvailabilityChecker {
+export class AvailabilityChecker {
+    /**
+     * @param {Conf}      conf
+     * @param {SDKLoader} sdkLoader
+     */
+    constructor (conf, sdkLoader) {
+        this.conf = conf;
+        this.sdkLoader = sdkLoader;
+    }
+
     /**
      * Check if all the escalation conditions are met to open a chat
      *     i.e. there are available agents, is working hours
      *
+     * The promise always resolves with an object like:
+     *     {
+     *         agentsAvailable: {boolean},
+     *         reason:          {string}  One of the "reasons" values, only when agentsAvailable is false
+     *         error:           {Error}   Underlying error, only when agentsAvailable is false
+     *         room:            {mixed}   First room with available agents, or the primary room if none
+     *         rooms:           {Array}   All the rooms that were checked, ordered by preference
+     *         lang:            {string}  Language that was checked
+     *     }
+     *
      * @return {Promise}
      */
     check () {
         const response = {
             agentsAvailable: false,
+            room: null,
+            rooms: [],
+            lang: null,
         };
 
-        return this._checkWorkingTime()
+        return Promise.resolve()
             .then(() => {
-                return SDKLoader.load();
+                const getLanguage = this.conf.get('lang');
+
+                if (!isFunction(this.conf.get('room')) || !isFunction(getLanguage)) {
+                    throw this._getReasonError(reasons.MISCONFIGURED, 'Room and language configurations must be callable functions');
+                }
+
+                try {
+                    response.lang = getLanguage();
+                    response.rooms = this.conf.getRooms(response.lang);
+                } catch (err) {
+                    throw this._getReasonError(reasons.MISCONFIGURED, 'Room or language configuration failed', err);
+                }
+                response.room = response.rooms.length ? response.rooms[0] : null;
+
+                if (!response.rooms.length) {
+                    throw this._getReasonError(reasons.MISCONFIGURED, 'Room configuration did not return any room');
+                }
             })
-            .then(this._areAvailableAgents.bind(this))
             .then(() => {
+                return this._checkWorkingTime(response.rooms);
+            })
+            .then((openRooms) => {
+                return this.sdkLoader.load()
+                    .catch((err) => {
+                        throw this._getReasonError(reasons.SDK_UNAVAILABLE, 'HyperChat SDK could not be loaded', err);
+                    })
+                    .then(() => {
+                        return this._areAvailableAgents(openRooms, response.lang);
+                    });
+            })
+            .then((roomId) => {
                 response.agentsAvailable = true;
+                response.room = roomId;
                 return response;
             })
             .catch((err) => {
                 response.agentsAvailable = false;
-                response.reason = 'no-agents';
+                response.reason = (err && err.reason) ? err.reason : reasons.API_ERROR;
+                response.error = (err && err.cause) ? err.cause : err;
                 return response;
             });
     }
 
     /**
-     * Check whether it's working time or not
-     * @return {Promise}
-     */
-    _checkWorkingTime () {
-        return Promise.resolve();
-    }
-
-    /**
-     * Check if there are available agents in the given room(s)
+     * Check whether it's working time or not, following the "workingTime" schedule of the configuration
      *
-     * @return {Promise}
+     * @param  {Array}   rooms
+     * @return {Promise}        Resolves with the rooms that are open, in the same order
      */
-    _areAvailableAgents () {
-        const getRoom = Conf.get('room');
-        const getLanguage = Conf.get('lang');
+    _checkWorkingTime (rooms = []) {
+        const schedule = this.conf.get('workingTime');
+        if (!schedule) {
+            return Promise.resolve(rooms);
+        }
 
-        if (!isFunction(getRoom) || !isFunction(getLanguage)) {
-            throw new Error('Room and language configurations must be callable functions');
+        let openRooms;
+        try {
+            const workingTime = new WorkingTime(schedule);
+            const now = new Date();
+            openRooms = rooms.filter(roomId => workingTime.isOpen(now, roomId));
+        } catch (err) {
+            return Promise.reject(this._getReasonError(reasons.MISCONFIGURED, 'Working time configuration is not valid', err));
         }
 
-        const roomId = getRoom();
-        const lang = getLanguage();
+        if (!openRooms.length) {
+            return Promise.reject(this._getReasonError(reasons.OUTSIDE_HOURS, 'Out of working hours'));
+        }
+        return Promise.resolve(openRooms);
+    }
 
-        const params = { roomIds: roomId };
+    /**
+     * Check if there are available agents in the given room(s) with a single request
+     *
+     * @param  {Array}   rooms  Room IDs ordered by preference
+     * @param  {string}  lang
+     * @return {Promise}        Resolves with the first room that has available agents
+     */
+    _areAvailableAgents (rooms, lang) {
+        const params = { roomIds: rooms.join(',') };
         // set lang if specified
         if (lang) {
             params.langs = lang;
         }
 
-        return ICF.Api.request('/agents/available', 'GET', params)
+        return this.sdkLoader.getICF().Api.request('/agents/available', 'GET', params)
+            .catch((err) => {
+                throw this._getReasonError(reasons.API_ERROR, 'Available agents request failed', err);
+            })
             .then((res) => {
                 if (!isEmpty(res.data) && !isEmpty(res.data.agents)) {
-                    return (res.data.agents[roomId] >= 1);
+                    return rooms.find(roomId => res.data.agents[roomId] >= 1);
                 }
-                return false;
             })
-            .then((areAvailable) => {
-                if (!areAvailable) {
-                    throw new Error('No available agents');
+            .then((roomId) => {
+                if (isUndefined(roomId)) {
+                    throw this._getReasonError(reasons.NO_AGENTS, 'No available agents');
                 }
+                return roomId;
             });
     }
+
+    /**
+     * Build an error tagged with the reason why the conditions are not met
+     *
+     * @param  {string} reason
+     * @param  {string} message
+     * @param  {mixed}  cause   Underlying error, if any
+     * @return {Error}
+     */
+    _getReasonError (reason, message, cause) {
+        const error = new Error(message);
+        error.reason = reason;
+        if (cause) {
+            error.cause = cause;
+        }
+        return error;
+    }
 }
 
-export default new AvailabilityChecker();
+export default new AvailabilityChecker(Conf, SDKLoader);
@@ -0,0 +1,160 @@
+'use strict';
+
+import {
+    isArray,
+    isString,
+    isUndefined,
+    compact,
+    trim
+} from 'lodash';
+
+/**
+ * HTML entities decoded when there's no DOM available
+ * @type {Object}
+ */
+const htmlEntities = {
+    '&nbsp;': ' ',
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': '\'',
+    '&apos;': '\'',
+};
+
+/**
+ * Static class that converts the bot conversation transcript messages to plain text readable by agents
+ *
+ * Transcript messages, as returned by the "getConversationTranscript" action of the Chatbot SDK, have a "type"
+ * and a "message", plus the data of their type:
+ *
+ *     polarQuestion, multipleChoiceQuestion:  options    [{ label, value }]
+ *     extendedContentsAnswer:                 subAnswers [{ message }]
+ *     carousel:                               carousel   [{ title, subtitle }]
+ *     media:                                  media      [{ name, url }]
+ *     form:                                   fields     [{ label, value }]
+ *     download:                               message is { name, url }
+ *
+ * Any of them may have the "option" the user clicked ({ label, value }) and the "rating" the user gave to it
+ * ({ label, comment })
+ */
+class BotHistoryParser {
+    /**
+     * Get the text that represents a bot transcript message
+     *
+     * @param  {object} botMessage
+     * @return {string}
+     */
+    static getText (botMessage) {
+        const message = botMessage.message;
+        let lines;
+
+        switch (botMessage.type) {
+        case 'polarQuestion':
+        case 'multipleChoiceQuestion':
+            lines = [BotHistoryParser.htmlToText(message)]
+                .concat(BotHistoryParser._getListLines(botMessage.options, option => option.label));
+            break;
+        case 'extendedContentsAnswer':
+            lines = [BotHistoryParser.htmlToText(message)]
+                .concat(BotHistoryParser._getListLines(botMessage.subAnswers, subAnswer => subAnswer.message));
+            break;
+        case 'carousel':
+            lines = [BotHistoryParser.htmlToText(message)]
+                .concat(BotHistoryParser._getListLines(botMessage.carousel, item => compact([item.title, item.subtitle]).join(': ')));
+            break;
+        case 'media':
+            lines = [BotHistoryParser.htmlToText(message)]
+                .concat(BotHistoryParser._getMediaLines(botMessage.media));
+            break;
+        case 'download':
+            lines = [message.name || message.url];
+            break;
+        case 'form':
+            lines = [BotHistoryParser.htmlToText(message)]
+                .concat(BotHistoryParser._getListLines(botMessage.fields, field => {
+                    return compact([field.label, isUndefined(field.value) ? '' : String(field.value)]).join(': ');
+                }));
+            break;
+        default:
+            lines = [BotHistoryParser.htmlToText(message)];
+            break;
+        }
+
+        // the option the user clicked, instead of the text of the button
+        if (botMessage.option) {
+            lines.push('> ' + BotHistoryParser.htmlToText(botMessage.option.label));
+        }
+
+        // the rating the user gave to the answer
+        if (botMessage.rating) {
+            lines.push('[Rated: ' + compact([botMessage.rating.label, botMessage.rating.comment]).join(' - ') + ']');
+        }
+
+        return compact(lines.map(trim)).join('\n');
+    }
+
+    /**
+     * Convert an HTML string to clean plain text
+     *
+     * @param  {string} html
+     * @return {string}
+     */
+    static htmlToText (html) {
+        if (!isString(html)) {
+            return '';
+        }
+
+        let text = html
+            // keep the links URL
+            .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, url, label) => {
+                label = trim(label.replace(/<[^>]+>/g, ''));
+                return (label && label !== url) ? label + ' (' + url + ')' : url;
+            })
+            .replace(/<img\s[^>]*src=["']([^"']+)["'][^>]*>/gi, '[image] $1')
+            .replace(/<li[^>]*>/gi, '\n- ')
+            .replace(/<br\s*\/?>|<\/(p|div|li|ul|ol|h[1-6]|tr)>/gi, '\n')
+            .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<[^>]+>/g, '');
+
+        text = BotHistoryParser._decodeEntities(text);
+
+        return text
+            .split('\n')
+            .map(line => trim(line.replace(/[ \t\u00a0]+/g, ' ')))
+            .filter(line => line !== '')
+            .join('\n');
+    }
+
+    static _decodeEntities (text) {
+        if (typeof document !== 'undefined') {
+            const textarea = document.createElement('textarea');
+            textarea.innerHTML = text;
+            return textarea.value;
+        }
+        return text
+            .replace(/&(nbsp|amp|lt|gt|quot|#39|apos);/g, entity => htmlEntities[entity])
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+    }
+
+    static _getListLines (items, getLabel) {
+        if (!isArray(items)) {
+            return [];
+        }
+        return items
+            .map(item => BotHistoryParser.htmlToText(String(getLabel(item) || '')))
+            .filter(label => label !== '')
+            .map(label => '- ' + label);
+    }
+
+    static _getMediaLines (media) {
+        if (!isArray(media)) {
+            return [];
+        }
+        return media
+            .filter(item => item && item.url)
+            .map(item => compact([item.name, item.url]).join(': '));
+    }
+}
+
+export default BotHistoryParser;
@@ -0,0 +1,113 @@
+'use strict';
+
+import { assign, isPlainObject, values } from 'lodash';
+
+/**
+ * Storage key where the current state is kept
+ * @type {String}
+ */
+const storageKey = 'chatState';
+
+/**
+ * States of the chat:
+ *     - idle:       there's no chat, the user talks to the bot
+ *     - connecting: the chat is being created, or restored after a reload
+ *     - queued:     the chat is open and waiting for an agent
+ *     - active:     an agent is attending the chat
+ *     - closing:    the user asked to close the chat and it's not closed yet
+ *     - closed:     the chat is over (its survey may be pending), the user talks to the bot again
+ *
+ * @type {Object}
+ */
+export const chatStates = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    QUEUED: 'queued',
+    ACTIVE: 'active',
+    CLOSING: 'closing',
+    CLOSED: 'closed',
+};
+
+/**
+ * States every state can change to
+ * @type {Object}
+ */
+const transitions = {
+    idle: ['connecting'],
+    connecting: ['idle', 'queued', 'active', 'closed'],
+    queued: ['active', 'closing', 'closed', 'connecting'],
+    active: ['queued', 'closing', 'closed', 'connecting'],
+    closing: ['closed', 'queued', 'active', 'connecting'],
+    closed: ['idle', 'connecting'],
+};
+
+/**
+ * Class that keeps the state of the chat, persisted in the storage to survive page reloads
+ *
+ * Only the transitions listed above are allowed, the rest are ignored
+ */
+export default class ChatLifecycle {
+    /**
+     * @param {object}   storage  Storage with localforage-like getItem/setItem methods
+     * @param {Function} onChange Receives { previous, state, chatId } after every transition
+     * @param {Function} onError  Receives the error and { state, chatId } when the state can't be persisted
+     */
+    constructor (storage, onChange = () => {}, onError = () => {}) {
+        this.storage = storage;
+        this.onChange = onChange;
+        this.onError = onError;
+        this.state = chatStates.IDLE;
+        this.chatId = null;
+        // Whether the state comes from the storage or a transition, instead of being the default one
+        this.stored = false;
+    }
+
+    /**
+     * Load the state the chat had before a page reload
+     *
+     * @return {Promise} Resolves with the loaded state
+     */
+    load () {
+        return this.storage.getItem(storageKey)
+            .then((data) => {
+                if (isPlainObject(data) && values(chatStates).indexOf(data.state) !== -1) {
+                    this.state = data.state;
+                    this.chatId = data.chatId || null;
+                    this.stored = true;
+                }
+                return this.state;
+            });
+    }
+
+    /**
+     * Check if the chat is in any of the given states
+     *
+     * @param  {...string} states
+     * @return {Boolean}
+     */
+    is (...states) {
+        return states.indexOf(this.state) !== -1;
+    }
+
+    /**
+     * Change the state of the chat, if the transition is allowed
+     *
+     * @param  {string}  state
+     * @param  {string}  chatId ID of the chat, the current one by default
+     * @return {Boolean}        Whether the state changed
+     */
+    transition (state, chatId = this.chatId) {
+        if (state === this.state || transitions[this.state].indexOf(state) === -1) {
+            return false;
+        }
+
+        const change = { previous: this.state, state, chatId };
+        this.state = state;
+        this.chatId = chatId;
+        this.stored = true;
+        this.storage.setItem(storageKey, { state, chatId })
+            .catch(error => this.onError(error, { state, chatId }));
+        this.onChange(assign({}, change));
+        return true;
+    }
+}
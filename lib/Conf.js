@@ -3,28 +3,81 @@
 import {
     isPlainObject,
     isFunction,
+    isArray,
+    isNil,
+    has,
     isBoolean,
     isString,
+    isNumber,
+    isRegExp,
+    isObjectLike,
+    isUndefined,
     assign,
     cloneDeep
 } from 'lodash';
 
+import schema from './ConfSchema';
+import ConfigError from './Error/ConfigError';
+
 
 /**
  * Class to manage the adapter configuration
  *
  * The actual configuration is kept in a "private" variable which is not visible from outside this class.
  * All operations with configuration values should be done using setters and getters
+ *
+ * Every adapter instance has its own Conf object; the default export is the one used by the module level "configure"
+ */
+
+/**
+ * "Private" variable that holds the configuration of every Conf object
+ * @type {WeakMap}
  */
+const _confs = new WeakMap();
 
 /**
- * "Private" variable that holds the configuration
+ * Functions to check every type of the schema
  * @type {Object}
  */
-let _conf = {};
+const typeCheckers = {
+    string: isString,
+    number: value => isNumber(value) && !isNaN(value),
+    boolean: isBoolean,
+    function: isFunction,
+    object: value => isObjectLike(value) && !isArray(value) && !isRegExp(value),
+    array: isArray,
+    regexp: isRegExp,
+};
 
+/**
+ * Levenshtein distance between two strings, used to suggest the right key for misspelled ones
+ *
+ * @param  {string} a
+ * @param  {string} b
+ * @return {number}
+ */
+const getEditDistance = (a, b) => {
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+
+export class Conf {
+    constructor () {
+        _confs.set(this, {});
+    }
 
-class Conf {
     /**
      * Set all the configuration values
      *
@@ -33,7 +86,7 @@ class Conf {
     set (values) {
         this.validate(values);
         this.assignDefaults(values);
-        _conf = assign(_conf, values);
+        _confs.set(this, assign(_confs.get(this), values));
     }
 
     /**
@@ -42,8 +95,9 @@ class Conf {
      * @return {mixed}       Value
      */
     get (key) {
-        if (_conf.hasOwnProperty(key)) {
-            return _conf[key];
+        const conf = _confs.get(this);
+        if (conf.hasOwnProperty(key)) {
+            return conf[key];
         }
 
         return null;
@@ -55,33 +109,63 @@ class Conf {
      * @return {Object}
      */
     getAll () {
-        return cloneDeep(_conf);
+        return cloneDeep(_confs.get(this));
+    }
+
+    /**
+     * Get the ordered list of rooms where the chat can be created
+     *
+     * The room function receives the language and can return a single room ID, an ordered list of room IDs
+     * or an object with rooms per language code, where the "default" key is used for unlisted languages:
+     *     { en: [1, 2], es: 3, default: [1] }
+     *
+     * @param  {string} lang
+     * @return {Array}
+     */
+    getRooms (lang = '') {
+        const getRoom = this.get('room');
+        if (!isFunction(getRoom)) {
+            throw new Error('Room configuration must be a callable function');
+        }
+
+        let rooms = getRoom(lang);
+        if (isPlainObject(rooms)) {
+            rooms = has(rooms, lang) ? rooms[lang] : rooms.default;
+        }
+        if (!isArray(rooms)) {
+            rooms = [rooms];
+        }
+
+        return rooms.filter(roomId => !isNil(roomId) && roomId !== '');
     }
 
     setRoomFunction (roomFunction) {
         if (!isFunction(roomFunction)) {
-            throw new Error('Invalid or missing configuration value');
+            throw new ConfigError(undefined, null, { key: 'room' });
         }
-        _conf.room = roomFunction;
+        _confs.get(this).room = roomFunction;
     }
 
     /**
      * Check if the provided parameter is a valid configuration object
      *
+     * Throws a ConfigError naming the first invalid key and the expected value, and warns about unknown keys
+     *
      * @param  {object} conf
      * @return {boolean}
      */
     validate (conf) {
-        if (
-            !isPlainObject(conf) ||
-            (!conf.appId || !isString(conf.appId)) ||
-            (
-                (!conf.region || !isString(conf.region)) &&
-                (!conf.server || !isString(conf.server))
-            ) ||
-            (!conf.room || !isFunction(conf.room))
-        ) {
-            throw new Error('Invalid or missing configuration value');
+        if (!isPlainObject(conf)) {
+            throw new ConfigError('Configuration must be an object', null, { key: null, expected: 'object' });
+        }
+
+        this._validateShape(conf, schema, '');
+
+        if (!conf.region && !conf.server) {
+            throw new ConfigError('Missing required configuration value "region" or "server" (expected string)', null, {
+                key: 'region',
+                expected: 'string',
+            });
         }
 
         return true;
@@ -93,19 +177,131 @@ class Conf {
      * @return {object}
      */
     assignDefaults (conf) {
-        const defaultSource = () => {
-            return '3';
-        };
-        const defaultLang = () => {
-            return '';
+        this._assignShapeDefaults(conf, schema);
+        return conf;
+    }
+
+    /**
+     * Validate the keys of an object against a schema
+     *
+     * @param  {object} values
+     * @param  {object} shape
+     * @param  {string} path   Path of the object in the configuration, for error messages
+     * @param  {boolean} allowUnknown
+     */
+    _validateShape (values, shape, path, allowUnknown = false) {
+        Object.keys(shape).forEach((key) => {
+            const rule = shape[key];
+            const keyPath = path + key;
+            if (isNil(values[key]) || (rule.required && values[key] === '')) {
+                if (rule.required) {
+                    throw new ConfigError('Missing required configuration value "' + keyPath + '" (expected ' + this._getExpected(rule) + ')', null, {
+                        key: keyPath,
+                        expected: this._getExpected(rule),
+                    });
+                }
+                return;
+            }
+            this._validateValue(values[key], rule, keyPath);
+        });
+
+        if (!allowUnknown) {
+            Object.keys(values)
+                .filter(key => !has(shape, key))
+                .forEach((key) => {
+                    const suggestion = this._getSuggestion(key, Object.keys(shape));
+                    console.warn('Unknown configuration key "' + path + key + '"' + (suggestion ? ', did you mean "' + path + suggestion + '"?' : ''));
+                });
+        }
+    }
+
+    /**
+     * Validate a single configuration value against its rule
+     *
+     * @param  {mixed}  value
+     * @param  {object} rule
+     * @param  {string} path
+     */
+    _validateValue (value, rule, path) {
+        const types = isArray(rule.type) ? rule.type : [rule.type];
+        const invalid = (expected) => {
+            return new ConfigError('Invalid configuration value "' + path + '": expected ' + expected + ', got ' + this._getTypeName(value), null, {
+                key: path,
+                expected,
+            });
         };
 
-        conf.sdkVersion = conf.sdkVersion || '1';
-        conf.source = isFunction(conf.source) ? conf.source : defaultSource;
-        conf.lang = isFunction(conf.lang) ? conf.lang : defaultLang;
-        conf.importBotHistory = isBoolean(conf.importBotHistory) ? conf.importBotHistory : false;
-        conf.fileUploadsActive = isBoolean(conf.fileUploadsActive) ? conf.fileUploadsActive : false;
-        return conf;
+        if (!types.some(type => typeCheckers[type](value))) {
+            throw invalid(this._getExpected(rule));
+        }
+        if (isNumber(value) && isNumber(rule.min) && value < rule.min) {
+            throw invalid('a number greater than or equal to ' + rule.min);
+        }
+        if (rule.values && rule.values.indexOf(value) === -1) {
+            throw invalid('one of ' + rule.values.map(allowed => JSON.stringify(allowed)).join(', '));
+        }
+        if (rule.items) {
+            value.forEach((item, index) => this._validateValue(item, rule.items, path + '[' + index + ']'));
+        }
+        if (rule.shape) {
+            this._validateShape(value, rule.shape, path + '.', rule.allowUnknown);
+        }
+        if (rule.validate && !rule.validate(value)) {
+            throw invalid(rule.description || this._getExpected(rule));
+        }
+    }
+
+    /**
+     * Assign the default values of a schema to the missing keys of an object
+     *
+     * @param  {object} values
+     * @param  {object} shape
+     */
+    _assignShapeDefaults (values, shape) {
+        Object.keys(shape).forEach((key) => {
+            const rule = shape[key];
+            if (isNil(values[key])) {
+                if (!isUndefined(rule.default)) {
+                    values[key] = rule.default;
+                }
+            } else if (rule.shape && isPlainObject(values[key])) {
+                this._assignShapeDefaults(values[key], rule.shape);
+            }
+        });
+    }
+
+    _getExpected (rule) {
+        return isArray(rule.type) ? rule.type.join(' or ') : rule.type;
+    }
+
+    _getTypeName (value) {
+        if (isArray(value)) {
+            return 'array';
+        }
+        if (isRegExp(value)) {
+            return 'regexp';
+        }
+        return typeof value;
+    }
+
+    /**
+     * Get the known key most similar to a misspelled one
+     *
+     * @param  {string} key
+     * @param  {Array}  knownKeys
+     * @return {string}           null if no key is similar enough
+     */
+    _getSuggestion (key, knownKeys) {
+        let suggestion = null;
+        let bestDistance = 3;
+        knownKeys.forEach((knownKey) => {
+            const distance = getEditDistance(key.toLowerCase(), knownKey.toLowerCase());
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                suggestion = knownKey;
+            }
+        });
+        return suggestion;
     }
 }
 
@@ -0,0 +1,238 @@
+'use strict';
+
+import { isString } from 'lodash';
+
+import { isStorageBackend } from './Storage';
+import WorkingTime from './WorkingTime';
+
+/**
+ * Declarative schema of all the supported configuration keys
+ *
+ * Every key is described by a rule with:
+ *     type:          {string|Array} "string", "number", "boolean", "function", "object", "array" or "regexp"
+ *                                   ("object" accepts class instances too, but not arrays nor functions)
+ *     required:      {boolean}      The key must be present
+ *     default:       {mixed}        Value assigned when the key is missing
+ *     min:           {number}       Minimum value for numbers
+ *     values:        {Array}        Allowed values
+ *     items:         {Object}       Rule for every item of an array
+ *     shape:         {Object}       Schema of the keys of an object
+ *     allowUnknown:  {boolean}      Don't warn about object keys missing in the shape
+ *     validate:      {Function}     Extra check, returns true if the value is valid
+ *     description:   {string}       Expected value shown in the error when "validate" fails
+ *
+ * Besides that, either "region" or "server" is required.
+ */
+
+const defaultSource = () => {
+    return '3';
+};
+const defaultLang = () => {
+    return '';
+};
+
+const weeklyHours = {
+    type: 'object',
+    validate: hours => WorkingTime.validate({ hours }),
+    description: 'weekly hours like { monday: ["09:00-18:00"] }, every range ending after it starts',
+};
+
+const schema = {
+    appId: { type: 'string', required: true },
+    region: { type: 'string' },
+    server: { type: 'string' },
+    port: { type: 'number', min: 1 },
+    setCookieOnDomain: { type: ['boolean', 'string'] },
+    sdkVersion: { type: 'string', default: '1' },
+    // self-hosted SDK, loaded instead of the CDN one for "sdkVersion"
+    sdkUrl: { type: 'string' },
+    // Subresource Integrity hash of the SDK script, like "sha384-..."
+    sdkIntegrity: { type: 'string' },
+    // nonce of the Content Security Policy, added to the SDK script tag
+    sdkNonce: { type: 'string' },
+    // milliseconds to wait for the SDK script before giving up on an attempt
+    sdkLoadTimeout: { type: 'number', min: 1, default: 10000 },
+    // attempts after the first one, every one waits twice as much as the previous one
+    sdkLoadRetries: { type: 'number', min: 0, default: 2 },
+    sdkLoadRetryDelay: { type: 'number', min: 0, default: 1000 },
+    // ICF compatible object used instead of the SDK (a wrapper, a proxy or a test double), no script is loaded then
+    icf: {
+        type: 'object',
+        validate: icf => ['Api', 'Lobby', 'Chat', 'Connection', 'Events', 'Helper'].every(key => icf[key]),
+        description: 'an ICF compatible object with Api, Lobby, Chat, Connection, Events and Helper',
+    },
+    // namespace of the stored data, the appId by default. Needed by instances of the same app on one page
+    instanceId: { type: 'string' },
+    storage: {
+        type: ['string', 'object'],
+        validate: storage => isString(storage) ? ['localforage', 'sessionStorage', 'memory'].indexOf(storage) !== -1 : isStorageBackend(storage),
+        description: '"localforage", "sessionStorage", "memory" or an object with getItem, setItem and removeItem methods',
+    },
+    // seconds to keep every stored key, like { previousToken: 3600, survey: 600 }. See Storage.defaultTtls
+    storageTtl: {
+        type: 'object',
+        allowUnknown: true,
+        validate: ttls => Object.keys(ttls).every(key => ttls[key] === null || (typeof ttls[key] === 'number' && ttls[key] > 0)),
+        description: 'positive seconds (or null for no expiry) by storage key',
+    },
+
+    room: { type: 'function', required: true },
+    lang: { type: 'function', default: defaultLang },
+    source: { type: 'function', default: defaultSource },
+    extraInfo: { type: 'function' },
+
+    importBotHistory: { type: 'boolean', default: false },
+    maxMessagesImport: { type: 'number', min: 1, default: 150 },
+    botHistoryFilter: { type: 'function' },
+
+    fileUploadsActive: { type: 'boolean', default: false },
+    fileUploadsAllowedTypes: { type: 'array', items: { type: 'string' } },
+    fileUploadsAllowedExtensions: { type: 'array', items: { type: 'string' } },
+    fileUploadsMaxSize: { type: 'number', min: 1 },
+    fileUploadsMaxFiles: { type: 'number', min: 1 },
+
+    showCloseButton: { type: 'boolean', default: false },
+    // minutes without user activity to warn, and then to close the chat. "reason" is sent to the agent
+    inactivity: {
+        type: 'object',
+        shape: {
+            warnAfter: { type: 'number', required: true, validate: minutes => minutes > 0, description: 'a number greater than 0' },
+            closeAfter: { type: 'number', min: 0, default: 2 },
+            reason: { type: 'string' },
+        },
+    },
+    // what to do with the input when the connection drops during a chat: "disable" it or only "flag" the chat as offline
+    offlineInput: { type: 'string', values: ['disable', 'flag'], default: 'disable' },
+    transcript: {
+        type: 'object',
+        // the rest of the keys are passed to the SDK when downloading the conversation
+        allowUnknown: true,
+        shape: {
+            download: { type: 'boolean', default: false },
+        },
+    },
+    surveys: {
+        type: 'object',
+        shape: {
+            id: { type: ['number', 'string'] },
+            url: { type: 'string' },
+        },
+        validate: surveys => surveys.id !== undefined || surveys.url !== undefined,
+        description: 'an object with the survey "id" or "url"',
+    },
+
+    workingTime: {
+        type: 'object',
+        shape: {
+            timezone: { type: 'string' },
+            hours: weeklyHours,
+            rooms: { type: 'object', allowUnknown: true, validate: rooms => WorkingTime.validate({ rooms }), description: 'weekly hours by room ID' },
+            holidays: { type: 'array', items: { type: 'string', validate: date => WorkingTime.validate({ holidays: [date] }), description: 'a "YYYY-MM-DD" date' } },
+            exceptions: { type: 'object', allowUnknown: true, validate: exceptions => WorkingTime.validate({ exceptions }), description: 'hours by "YYYY-MM-DD" date' },
+            specialOpenings: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    shape: {
+                        from: { type: 'string', required: true },
+                        to: { type: 'string', required: true },
+                    },
+                },
+            },
+        },
+        validate: WorkingTime.validate,
+        description: 'a valid working hours schedule',
+    },
+    queueUpdates: {
+        type: 'object',
+        shape: {
+            interval: { type: 'number', min: 1 },
+            averageWaitTime: { type: 'number', min: 0 },
+            getPosition: { type: 'function' },
+        },
+    },
+    offlineTickets: {
+        type: 'object',
+        shape: {
+            labels: {
+                type: 'object',
+                shape: {
+                    title: { type: 'string' },
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                    message: { type: 'string' },
+                    submit: { type: 'string' },
+                    cancel: { type: 'string' },
+                    required: { type: 'string' },
+                    invalid: { type: 'string' },
+                },
+            },
+        },
+    },
+    // form asked before the chat, its answers are the name, contact and extraInfo of the user
+    preChatForm: {
+        type: 'object',
+        shape: {
+            title: { type: 'string' },
+            fields: {
+                type: 'array',
+                required: true,
+                items: {
+                    type: 'object',
+                    shape: {
+                        name: { type: 'string', required: true },
+                        label: { type: 'string' },
+                        type: { type: 'string', values: ['text', 'email', 'tel', 'textarea'] },
+                        required: { type: 'boolean' },
+                        validator: {
+                            type: ['string', 'regexp'],
+                            validate: validator => !isString(validator) || ['email', 'phone'].indexOf(validator) !== -1,
+                            description: '"email", "phone" or a RegExp',
+                        },
+                        invalidMessage: { type: 'string' },
+                        // user data the answer goes to, "extraInfo" by default. Several "name" answers are joined
+                        mapTo: { type: 'string', values: ['name', 'contact', 'extraInfo'] },
+                    },
+                },
+            },
+            labels: {
+                type: 'object',
+                shape: {
+                    submit: { type: 'string' },
+                    cancel: { type: 'string' },
+                    required: { type: 'string' },
+                    invalid: { type: 'string' },
+                },
+            },
+        },
+    },
+    middleware: {
+        type: 'object',
+        shape: {
+            inbound: { type: 'array', items: { type: 'function' } },
+            outbound: { type: 'array', items: { type: 'function' } },
+        },
+    },
+    redaction: {
+        type: 'object',
+        shape: {
+            rules: { type: 'array', items: { type: 'string', values: ['email', 'iban', 'card', 'phone'] } },
+            custom: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    shape: {
+                        name: { type: 'string' },
+                        pattern: { type: 'regexp', required: true },
+                        replacement: { type: 'string' },
+                    },
+                },
+            },
+            mask: { type: 'string' },
+            notify: { type: 'boolean' },
+        },
+    },
+    onError: { type: 'function' },
+};
+
+export default schema;
@@ -0,0 +1,235 @@
+'use strict';
+
+import {
+    assign,
+    escape,
+    isEmpty,
+    isNil,
+    isRegExp,
+    trim
+} from 'lodash';
+
+/**
+ * Simple email format check, the server does the real validation
+ * @type {RegExp}
+ */
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+/**
+ * Phone number with an optional international prefix, digits and the usual separators
+ * @type {RegExp}
+ */
+const phoneRegex = /^\+?[0-9][0-9 ().-]{4,}[0-9]$/;
+
+/**
+ * Default form texts, can be overwritten with the "labels" option
+ * @type {Object}
+ */
+const defaultLabels = {
+    submit: 'Send',
+    cancel: 'Cancel',
+    required: 'This field is required',
+    invalid: 'This value is not valid',
+};
+
+/**
+ * Class that shows a form in the bot custom conversation window and collects the user answers
+ *
+ * Options:
+ *     {
+ *         id:     {string} HTML ID of the form, must be unique in the page
+ *         title:  {string}
+ *         fields: {Array}  [{ name, label, type: 'text'|'email'|'tel'|'textarea', required, validator, invalidMessage }]
+ *                          where validator is "email", "phone" or a RegExp the value must match
+ *         labels: {Object} { submit, cancel, required, invalid }
+ *     }
+ */
+export default class ConversationForm {
+    constructor (bot, options = {}) {
+        this.bot = bot;
+        this.id = options.id;
+        this.title = options.title || '';
+        this.fields = options.fields || [];
+        this.labels = assign({}, defaultLabels, options.labels);
+
+        this._onSubmit = this._onSubmit.bind(this);
+        this._onClick = this._onClick.bind(this);
+    }
+
+    /**
+     * Show the form
+     *
+     * @param  {Object}  values Initial values of the fields
+     * @return {Promise}        Resolves with the submitted values, rejects if the form is cancelled
+     */
+    show (values = {}) {
+        return new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+
+            document.addEventListener('submit', this._onSubmit, true);
+            document.addEventListener('click', this._onClick, true);
+            this._render(values, {});
+        });
+    }
+
+    /**
+     * Hide the form and stop listening to its events
+     */
+    close () {
+        document.removeEventListener('submit', this._onSubmit, true);
+        document.removeEventListener('click', this._onClick, true);
+        this.bot.actions.hideCustomConversationWindow();
+    }
+
+    /**
+     * Hide the form as if the user cancelled it
+     */
+    cancel () {
+        this.close();
+        if (this._reject) {
+            this._reject(new Error('Form cancelled'));
+        }
+    }
+
+    /**
+     * Validate the given values
+     *
+     * @param  {Object} values
+     * @return {Object}        Error messages by field name, empty if the values are valid
+     */
+    validate (values) {
+        const errors = {};
+        this.fields.forEach(field => {
+            const value = isNil(values[field.name]) ? '' : String(values[field.name]);
+            if (value === '') {
+                if (field.required) {
+                    errors[field.name] = this.labels.required;
+                }
+            } else if (!this._isValidValue(field, value)) {
+                errors[field.name] = field.invalidMessage || this.labels.invalid;
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Check if a non-empty value is valid for the given field
+     *
+     * @param  {Object}  field
+     * @param  {string}  value
+     * @return {Boolean}
+     */
+    _isValidValue (field, value) {
+        if (isRegExp(field.validator)) {
+            // a global or sticky RegExp starts from the end of its last match, test the whole value every time
+            field.validator.lastIndex = 0;
+            return field.validator.test(value);
+        }
+        if (field.validator === 'phone') {
+            return phoneRegex.test(value);
+        }
+        if (field.validator === 'email' || field.type === 'email') {
+            return emailRegex.test(value);
+        }
+        return true;
+    }
+
+    /**
+     * Display the form in the custom conversation window
+     *
+     * @param  {Object} values
+     * @param  {Object} errors
+     */
+    _render (values, errors) {
+        this.bot.actions.showCustomConversationWindow({
+            content: this._getHtml(values, errors)
+        });
+    }
+
+    /**
+     * Build the form HTML
+     *
+     * @param  {Object} values
+     * @param  {Object} errors
+     * @return {string}
+     */
+    _getHtml (values, errors) {
+        const fieldsHtml = this.fields.map(field => {
+            const inputId = this.id + '-' + field.name;
+            const value = escape(values[field.name] || '');
+            const required = field.required ? ' required' : '';
+            const input = (field.type === 'textarea') ?
+                '<textarea id="' + inputId + '" name="' + escape(field.name) + '"' + required + '>' + value + '</textarea>' :
+                '<input id="' + inputId + '" name="' + escape(field.name) + '" type="' + escape(field.type || 'text') + '" value="' + value + '"' + required + '>';
+            const error = errors[field.name] ? '<span class="inbenta-hc-form__error">' + escape(errors[field.name]) + '</span>' : '';
+
+            return '<div class="inbenta-hc-form__field">' +
+                '<label for="' + inputId + '">' + escape(field.label || field.name) + '</label>' +
+                input +
+                error +
+                '</div>';
+        }).join('');
+
+        return '<form id="' + escape(this.id) + '" class="inbenta-hc-form" novalidate>' +
+            (this.title ? '<p class="inbenta-hc-form__title">' + escape(this.title) + '</p>' : '') +
+            fieldsHtml +
+            '<div class="inbenta-hc-form__buttons">' +
+            '<button type="button" data-form-cancel="' + escape(this.id) + '">' + escape(this.labels.cancel) + '</button>' +
+            '<button type="submit">' + escape(this.labels.submit) + '</button>' +
+            '</div>' +
+            '</form>';
+    }
+
+    /**
+     * Read the current values of the form
+     *
+     * @param  {HTMLFormElement} form
+     * @return {Object}
+     */
+    _getValues (form) {
+        const values = {};
+        this.fields.forEach(field => {
+            const element = form.elements[field.name];
+            values[field.name] = element ? trim(element.value) : '';
+        });
+        return values;
+    }
+
+    /**
+     * Callback executed when any form of the page is submitted
+     *
+     * @param  {Event} event
+     */
+    _onSubmit (event) {
+        if (!event.target || event.target.id !== this.id) {
+            return;
+        }
+        event.preventDefault();
+
+        const values = this._getValues(event.target);
+        const errors = this.validate(values);
+        if (!isEmpty(errors)) {
+            this._render(values, errors);
+            return;
+        }
+
+        this.close();
+        this._resolve(values);
+    }
+
+    /**
+     * Callback executed when anything in the page is clicked, to detect the cancel button
+     *
+     * @param  {Event} event
+     */
+    _onClick (event) {
+        const target = event.target;
+        if (!target || !target.getAttribute || target.getAttribute('data-form-cancel') !== this.id) {
+            return;
+        }
+        event.preventDefault();
+
+        this.close();
+        this._reject(new Error('Form cancelled'));
+    }
+}
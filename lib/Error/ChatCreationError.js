@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when a new chat can not be created
+ */
+class ChatCreationError extends HCError {
+    constructor (message = 'Chat could not be created', cause = null, context = {}) {
+        super(message, 'chat-creation-failed', cause, context);
+        Object.setPrototypeOf(this, ChatCreationError.prototype);
+        this.name = 'ChatCreationError';
+    }
+}
+
+export default ChatCreationError;
@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when an operation on the current chat fails, like searching an agent or closing it
+ */
+class ChatError extends HCError {
+    constructor (message = 'Chat operation failed', cause = null, context = {}) {
+        super(message, 'chat-failed', cause, context);
+        Object.setPrototypeOf(this, ChatError.prototype);
+        this.name = 'ChatError';
+    }
+}
+
+export default ChatError;
@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when the adapter configuration is not valid
+ */
+class ConfigError extends HCError {
+    constructor (message = 'Invalid or missing configuration value', cause = null, context = {}) {
+        super(message, 'invalid-config', cause, context);
+        Object.setPrototypeOf(this, ConfigError.prototype);
+        this.name = 'ConfigError';
+    }
+}
+
+export default ConfigError;
@@ -1,8 +1,37 @@
 'use strict';
 
+/**
+ * Base class of all the errors of the adapter
+ *
+ * Every error has a stable "code" to identify it, the "cause" that originated it (if any)
+ * and a "context" object with related data, like the chat ID or the bot message ID
+ */
 class HCError extends Error {
-    constructor () {
-        super();
+    constructor (message = 'HyperChat adapter error', code = 'hc-error', cause = null, context = {}) {
+        super(message);
+        // Error can't be extended in ES5, restore the prototype chain so "instanceof" works once transpiled
+        Object.setPrototypeOf(this, HCError.prototype);
+
+        this.name = 'HCError';
+        this.message = message;
+        this.code = code;
+        this.cause = cause;
+        this.context = context;
+    }
+
+    /**
+     * Get the given error as an HCError, wrapping it in a new error of the given class if it isn't one yet
+     *
+     * @param  {mixed}    err
+     * @param  {Function} ErrorClass HCError subclass
+     * @param  {Object}   context
+     * @return {HCError}
+     */
+    static from (err, ErrorClass, context = {}) {
+        if (err instanceof HCError) {
+            return err;
+        }
+        return new ErrorClass(undefined, err, context);
     }
 }
 
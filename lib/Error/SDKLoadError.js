@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when the HyperChat SDK script can not be loaded or initialized
+ */
+class SDKLoadError extends HCError {
+    constructor (message = 'HyperChat SDK could not be loaded', cause = null, context = {}) {
+        super(message, 'sdk-load-failed', cause, context);
+        Object.setPrototypeOf(this, SDKLoadError.prototype);
+        this.name = 'SDKLoadError';
+    }
+}
+
+export default SDKLoadError;
@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when a user message can not be sent to the chat
+ */
+class SendMessageError extends HCError {
+    constructor (message = 'Message could not be sent', cause = null, context = {}) {
+        super(message, 'message-send-failed', cause, context);
+        Object.setPrototypeOf(this, SendMessageError.prototype);
+        this.name = 'SendMessageError';
+    }
+}
+
+export default SendMessageError;
@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when the HyperChat user session can not be created or restored
+ */
+class SessionError extends HCError {
+    constructor (message = 'User session could not be initialized', cause = null, context = {}) {
+        super(message, 'session-failed', cause, context);
+        Object.setPrototypeOf(this, SessionError.prototype);
+        this.name = 'SessionError';
+    }
+}
+
+export default SessionError;
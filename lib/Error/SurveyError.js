@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when the survey can not be loaded
+ */
+class SurveyError extends HCError {
+    constructor (message = 'Survey could not be shown', cause = null, context = {}) {
+        super(message, 'survey-failed', cause, context);
+        Object.setPrototypeOf(this, SurveyError.prototype);
+        this.name = 'SurveyError';
+    }
+}
+
+export default SurveyError;
@@ -0,0 +1,16 @@
+'use strict';
+
+import HCError from './HCError';
+
+/**
+ * Error thrown when a file can not be uploaded to the chat
+ */
+class UploadError extends HCError {
+    constructor (message = 'File could not be uploaded', cause = null, context = {}) {
+        super(message, 'upload-failed', cause, context);
+        Object.setPrototypeOf(this, UploadError.prototype);
+        this.name = 'UploadError';
+    }
+}
+
+export default UploadError;
@@ -6,22 +6,35 @@ import {
     isEmpty,
     isFunction,
     isString,
-    assign
+    isNumber,
+    isArray,
+    assign,
+    truncate
 } from 'lodash';
-import Cookies from 'js-cookie';
 import EventEmitter from 'wolfy87-eventemitter';
+import Cookies from 'js-cookie';
 
 import Conf from './Conf';
 import SDKLoader from './SDKLoader';
 import AvailabilityChecker from './AvailabilityChecker';
+import BotHistoryParser from './BotHistoryParser';
+import ChatLifecycle, { chatStates } from './ChatLifecycle';
+import ConversationForm from './ConversationForm';
 import Helpers from './Helpers';
-import localForage from './localforage';
+import InactivityMonitor from './InactivityMonitor';
+import MessagePipeline from './MessagePipeline';
+import MessageQueue from './MessageQueue';
+import QueueMonitor from './QueueMonitor';
+import Redactor from './Redactor';
+import Storage from './Storage';
+import HCError from './Error/HCError';
+import SessionError from './Error/SessionError';
+import ChatCreationError from './Error/ChatCreationError';
+import ChatError from './Error/ChatError';
+import SendMessageError from './Error/SendMessageError';
+import UploadError from './Error/UploadError';
+import SurveyError from './Error/SurveyError';
 
-/**
- * Maximum number of chatbot conversation that will be imported
- * @type {Number}
- */
-const maxMessagesImport = 150;
 /**
  * HyperChat cookie name
  * @type {String}
@@ -47,16 +60,175 @@ const systemMessageTicketDataType = 'ticketData';
  * @type {String}
  */
 const closeChatOption = 'exitConversation';
+/**
+ * System message ID of the inactivity warning
+ * @type {String}
+ */
+const inactivityWarningId = 'inactivityWarning';
+/**
+ * Reason of the inactivity timeout sent to the agent, can be overwritten with "inactivity.reason"
+ * @type {String}
+ */
+const defaultInactivityReason = 'The chat was closed because the user was inactive';
+/**
+ * System message sent to the agent when the user cancels an upload the SDK can't abort, followed by the file name
+ * @type {String}
+ */
+const uploadCancelledNotice = 'The user cancelled the upload of this file, please ignore it: ';
+/**
+ * Message status reported in the "message:status" event for every bot message tick
+ * @type {Object}
+ */
+const messageStatuses = {
+    WAITING_TICK: 'pending',
+    SINGLE_TICK: 'sent',
+    ERROR_TICK: 'error',
+};
+/**
+ * HTML ID of the offline ticket form, followed by the instance ID to be unique in the page
+ * @type {String}
+ */
+const offlineFormId = 'inbenta-hc-offline-form';
+/**
+ * HTML ID of the pre-chat form, followed by the instance ID to be unique in the page
+ * @type {String}
+ */
+const preChatFormId = 'inbenta-hc-prechat-form';
+/**
+ * Default texts of the offline ticket form, can be overwritten with "offlineTickets.labels"
+ * @type {Object}
+ */
+const defaultOfflineLabels = {
+    title: 'No agents are available right now. Leave us a message and we will get back to you.',
+    name: 'Name',
+    email: 'Email',
+    message: 'Message',
+};
+/**
+ * Adapter that uses the HyperChat lobby of every ICF object. The lobby holds a single user session,
+ * so only one adapter instance can have a chat at a time with the same ICF
+ * @type {WeakMap}
+ */
+const lobbyOwners = new WeakMap();
+
+/**
+ * Events triggered by the adapter, all of them re-emitted by the "events" emitter of the module.
+ * Every event receives a single data object:
+ *
+ *     chat:created           { chat, room }
+ *     chat:restored          { chat, room, lang, agent }
+ *     chat:closed            { chatId, userId, reason } reason only when it was closed with one
+ *     chat:intervened        { interventor, intervenedUsers }
+ *     chat:state-changed     { previous, state, chatId } see "chatStates" in ChatLifecycle
+ *     user:joined            { user }
+ *     user:left              { user }
+ *     agent:searching        { chatId, room }
+ *     agent:typing           { userId, name, typing }
+ *     forever:alone          { chatId }
+ *     queue:updated          { chatId, room, position, agentsAvailable, estimatedWait, waitingTime }
+ *     message:received       { messageId, message, source } where source is "agent" or "user" (another tab)
+ *     message:sent           { messageId, chatMessageId, message, metadata }
+ *     message:status         { messageId, status } status: "pending", "sent", "error" or "read"
+ *                            (for "read", messageId is the chat message ID, which is the bot message external ID)
+ *     media:upload-progress  { messageId, fileName, loaded, total, percentage }
+ *     media:uploaded         { messageId, fileName, mediaId }
+ *     media:upload-failed    { messageId, fileName, reason, error } reason: "rejected", "cancelled" or "error"
+ *     media:downloaded       { file }
+ *     ticket:created         { ticketId, ... }
+ *     survey:shown           { ticketId, url }
+ *     survey:answered        {}
+ *     restore:failed         { error }
+ *     connection:lost        { chatId, source } source: "browser" (went offline) or "message" (a message couldn't be sent)
+ *     connection:restored    { chatId, source, missedMessages } number of agent messages received on reconnect
+ *     inactivity:warning     { chatId, closeAfter } minutes left to close the chat
+ *     inactivity:timeout     { chatId, reason }
+ *     escalation:failed      { error }
+ *     error                  HCError subclass instance, for any failure (see lib/Error)
+ *
+ * @type {Array}
+ */
+export const adapterEvents = [
+    'chat:created',
+    'chat:restored',
+    'chat:closed',
+    'chat:intervened',
+    'chat:state-changed',
+    'user:joined',
+    'user:left',
+    'agent:searching',
+    'agent:typing',
+    'forever:alone',
+    'queue:updated',
+    'message:received',
+    'message:sent',
+    'message:status',
+    'media:upload-progress',
+    'media:uploaded',
+    'media:upload-failed',
+    'media:downloaded',
+    'ticket:created',
+    'survey:shown',
+    'survey:answered',
+    'restore:failed',
+    'connection:lost',
+    'connection:restored',
+    'inactivity:warning',
+    'inactivity:timeout',
+    'escalation:failed',
+    'error',
+];
 
 export default class HCAdapter extends EventEmitter {
-    constructor (botInstance) {
+    /**
+     * @param {Object} botInstance
+     * @param {Object} context     Objects of the adapter instance it belongs to: { conf, sdkLoader, availabilityChecker, storage,
+     *                             sessionStorage }.
+     *                             The module level ones are used for the missing keys
+     */
+    constructor (botInstance, context = {}) {
         super();
         if (!this._checkIsBotInstance(botInstance)) {
             throw new Error('Not a valid bot instance');
         }
 
         this.bot = botInstance;
-        this.storage = localForage;
+        this.conf = context.conf || Conf;
+        this.sdkLoader = context.sdkLoader || SDKLoader;
+        this.availabilityChecker = context.availabilityChecker || AvailabilityChecker;
+        this.storage = context.storage || new Storage(this.conf);
+        // data that must not outlive the browser session, like the pre-chat form answers
+        this.sessionStorage = context.sessionStorage || new Storage(this.conf, 'sessionStorage');
+        this.queueMonitor = new QueueMonitor(this.conf.get('queueUpdates') || {}, this._onQueueUpdated.bind(this), () => this.icf);
+        this.outbox = new MessageQueue(this.storage, this._deliverMessage.bind(this), this._onOutboxStatus.bind(this));
+        this.lifecycle = new ChatLifecycle(this.storage, this._onStateChanged.bind(this), (err, change) => {
+            this._handleError(new SessionError('Chat state could not be stored', err, change));
+        });
+        this.inactivityMonitor = new InactivityMonitor(this.conf.get('inactivity') || {}, this.storage,
+            this._onInactivityWarning.bind(this), this._onInactivityTimeout.bind(this));
+        // uploads in progress by bot message ID
+        this.uploads = {};
+        // number of files uploaded in the current chat
+        this.uploadedFiles = 0;
+        // the connection dropped during the current chat
+        this.connectionLost = false;
+
+        // middleware chains for the messages that cross the adapter, run one message at a time to keep the order
+        const middleware = this.conf.get('middleware') || {};
+        this.pipelines = {
+            inbound: new MessagePipeline(middleware.inbound),
+            outbound: new MessagePipeline(middleware.outbound),
+        };
+        this.pipelineQueues = {
+            inbound: Promise.resolve(),
+            outbound: Promise.resolve(),
+        };
+
+        // mask personal data before it reaches the agents, ahead of any other middleware
+        const redaction = this.conf.get('redaction');
+        if (redaction) {
+            this.redactor = new Redactor(redaction);
+            this.pipelines.outbound.middlewares.unshift(this._redactMessage.bind(this));
+        }
 
         // bot SDK only accepts event subscriptions during "build" time
         // subscribe to all events needed and control executions depending on chatOpen flag
@@ -68,12 +240,22 @@ export default class HCAdapter extends EventEmitter {
         this.storage.getItem('survey')
             .then(data => {
                 if (data && data.pending && data.survey) {
+                    this.surveyPending = true;
                     this.bot.actions.showCustomConversationWindow(data.survey);
                 }
             });
 
     }
 
+    /**
+     * ICF object the adapter works with, the one of the "icf" configuration or the global SDK
+     *
+     * @return {Object}
+     */
+    get icf () {
+        return this.sdkLoader.getICF();
+    }
+
     /**
      * Subscribe to needed Bot SDK events
      */
@@ -101,15 +283,40 @@ export default class HCAdapter extends EventEmitter {
      */
     subscribeToWindowEvents () {
         window.addEventListener('message', this._onWindowMessage.bind(this), false);
+        window.addEventListener('offline', () => this._onConnectionLost('browser'), false);
+        window.addEventListener('online', () => this._onConnectionRestored('browser'), false);
+    }
+
+    /**
+     * Current state of the chat, one of the "chatStates" of ChatLifecycle
+     *
+     * @return {string}
+     */
+    get chatState () {
+        return this.lifecycle.state;
     }
 
     /**
-     * Check if a chat is already open by looking for the HyperChat cookie
+     * Check if there's a chat open, even if it's waiting for an agent or being closed
+     *
+     * When no state was stored (memory storage, or a chat opened by a previous version) the chat cookie is checked
      *
      * @return {Boolean}
      */
     isChatOpen () {
-        return !isUndefined(Cookies.get(cookieName)) ? true : false;
+        if (!this.lifecycle.stored) {
+            return this._hasChatCookie();
+        }
+        return this.lifecycle.is(chatStates.QUEUED, chatStates.ACTIVE, chatStates.CLOSING);
+    }
+
+    /**
+     * Check if the cookie the HyperChat SDK sets while a chat is open exists
+     *
+     * @return {Boolean}
+     */
+    _hasChatCookie () {
+        return !isUndefined(Cookies.get(cookieName));
     }
 
     setConnectingMode () {
@@ -126,41 +333,330 @@ export default class HCAdapter extends EventEmitter {
      * @return {Promise}
      */
     init () {
-        return SDKLoader.load();
+        return this.sdkLoader.load();
     }
 
     /**
-     * Start a new chat
+     * Start a new chat, asking the pre-chat form first if it's configured
      *
+     * Resolves with the outcome { status, chatId, reason, error }, where status is:
+     *     "started"     The chat was created, with its chatId
+     *     "unavailable" The chat can't be attended now, with the reason of the availability check
+     *     "offline"     The chat can't be attended now and the offline form was shown instead, with the reason
+     *     "cancelled"   The user cancelled the pre-chat form
+     *     "failed"      The chat couldn't be created, with the error (already reported)
+     *     "ignored"     There's already a chat in progress
+     *
+     * @param  {object}  userData Data of the escalation, like { FIRST_NAME, LAST_NAME, EMAIL_ADDRESS, ... }
      * @return {Promise}
      */
     start (userData = {}) {
-        if (!this.isChatOpen()) {
-            // set chat in "connecting" mode
-            this.setConnectingMode();
+        if (!this.lifecycle.is(chatStates.IDLE, chatStates.CLOSED)) {
+            return Promise.resolve({ status: 'ignored' });
+        }
+        if (this.conf.get('preChatForm')) {
+            return this.getPreChatData(userData)
+                .then(this._connect.bind(this), () => {
+                    // the user cancelled the form, keep talking to the bot
+                    return { status: 'cancelled' };
+                });
+        }
+        return this._connect(userData);
+    }
 
-            return this.init()
-                .then(() => {
-                    return AvailabilityChecker.check();
-                })
-                .then(this.initUserSession.bind(this, userData))
-                .then(this.createChat.bind(this))
-                .then(this.getCurrentBotState.bind(this))
-                .then(this.showAllButtons.bind(this))
-                .then(this.searchAgent.bind(this))
-                .then((res) => {
-                    if (!res || !res.agent) {
-                        this._onForeverAlone({});
-                    } else {
-                        this.showWaitingForAgent();
+    /**
+     * Get the user data from the pre-chat form, or from its answers of a previous chat of the session
+     *
+     * Resolves with the escalation data plus the answers: those mapped to "name" are joined in FIRST_NAME,
+     * the "contact" one is the EMAIL_ADDRESS and the rest are added by field name (they end up in the extraInfo).
+     * Rejects if the user cancels the form
+     *
+     * @param  {object}  userData Data of the escalation, used to prefill the form
+     * @return {Promise}
+     */
+    getPreChatData (userData = {}) {
+        const options = this.conf.get('preChatForm');
+        const form = new ConversationForm(this.bot, {
+            id: this._getFormId(preChatFormId),
+            title: options.title,
+            labels: options.labels,
+            fields: options.fields,
+        });
+
+        return this.sessionStorage.getItem('preChat')
+            .then((answers) => {
+                if (answers && isEmpty(form.validate(answers))) {
+                    return answers;
+                }
+
+                // a form of a previous escalation may still be pending if its window was closed by other means
+                if (this.preChatForm) {
+                    this.preChatForm.cancel();
+                }
+                this.preChatForm = form;
+                const forget = () => {
+                    if (this.preChatForm === form) {
+                        this.preChatForm = null;
+                    }
+                };
+
+                return form.show(assign(this._getPreChatValues(options.fields, userData), answers))
+                    .then((values) => {
+                        forget();
+                        this.sessionStorage.setItem('preChat', values);
+                        return values;
+                    }, (err) => {
+                        forget();
+                        throw err;
+                    });
+            })
+            .then((answers) => {
+                const data = assign({}, userData);
+                const names = [];
+                options.fields.forEach((field) => {
+                    const value = answers[field.name];
+                    if (field.mapTo === 'name') {
+                        names.push(value);
+                    } else if (field.mapTo === 'contact') {
+                        data.EMAIL_ADDRESS = value;
+                    } else if (value !== '') {
+                        data[field.name] = value;
                     }
-                    this.setConnectedMode();
-                })
-                .then(this.monitorUserActivity.bind(this))
-                .catch((err) => {
-                    this.setConnectedMode();
-                    console.error('Error!', err);
                 });
+                if (names.length) {
+                    data.FIRST_NAME = names.filter(name => name !== '').join(' ');
+                    delete data.LAST_NAME;
+                }
+                return data;
+            });
+    }
+
+    /**
+     * Get the initial values of the pre-chat form from the escalation data
+     *
+     * @param  {Array}  fields
+     * @param  {object} userData
+     * @return {object}
+     */
+    _getPreChatValues (fields, userData) {
+        const username = !isUndefined(userData.LAST_NAME) ? [userData.FIRST_NAME, userData.LAST_NAME].join(' ') : userData.FIRST_NAME;
+        const nameFields = fields.filter(field => field.mapTo === 'name');
+        const values = {};
+
+        fields.forEach((field) => {
+            if (field.mapTo === 'name') {
+                // a single name field gets the full name, several ones get the first and last names in order
+                values[field.name] = nameFields.length === 1 ? username : [userData.FIRST_NAME, userData.LAST_NAME][nameFields.indexOf(field)];
+            } else if (field.mapTo === 'contact') {
+                values[field.name] = userData.EMAIL_ADDRESS;
+            } else {
+                values[field.name] = userData[field.name];
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Get the HTML ID of a form, with the "instanceId" (or the appId) so the forms of
+     * several adapters on the same page don't get each other's events
+     *
+     * @param  {string} formId
+     * @return {string}
+     */
+    _getFormId (formId) {
+        return formId + '-' + (this.conf.get('instanceId') || this.conf.get('appId'));
+    }
+
+    /**
+     * Create a new chat with the given user data
+     *
+     * @param  {object}  userData
+     * @return {Promise}          Resolves with the outcome, see "start"
+     */
+    _connect (userData) {
+        if (!this.lifecycle.is(chatStates.IDLE, chatStates.CLOSED)) {
+            // another chat was started while the pre-chat form was shown
+            return Promise.resolve({ status: 'ignored' });
+        }
+        // set chat in "connecting" mode
+        this.lifecycle.transition(chatStates.CONNECTING, null);
+        this.outbox.pause();
+        this.setConnectingMode();
+
+        this.userData = userData;
+
+        // the working time is checked before loading the SDK, it's not needed outside working hours
+        return this.availabilityChecker.check()
+            .then((availability) => {
+                this.availability = availability;
+
+                // don't open a chat nobody will attend, let the user leave a message instead if it's configured
+                if (!availability.agentsAvailable) {
+                    this.lifecycle.transition(chatStates.IDLE, null);
+                    this._discardOutbox();
+                    this.setConnectedMode();
+                    this.showNoAgents();
+                    if (this.conf.get('offlineTickets')) {
+                        return this.showOfflineForm(userData)
+                            .then(() => ({ status: 'offline', reason: availability.reason }));
+                    }
+                    return { status: 'unavailable', reason: availability.reason };
+                }
+
+                return this.init()
+                    .then(() => this._startChat(userData))
+                    .then(() => ({ status: 'started', chatId: isEmpty(this.chat) ? null : this.chat.id }));
+            })
+            .catch((err) => {
+                const error = HCError.from(err, ChatCreationError);
+                if (!isEmpty(this.chat)) {
+                    // the chat was created but failed afterwards, close it so no agent picks up an orphaned chat
+                    const chat = this.chat;
+                    Promise.resolve()
+                        .then(() => chat.close())
+                        .catch(() => {});
+                    this.lifecycle.transition(chatStates.CLOSED);
+                    this.clearChat();
+                } else {
+                    this.lifecycle.transition(chatStates.IDLE, null);
+                    this._discardOutbox();
+                }
+                this.setConnectedMode();
+                this.trigger('escalation:failed', [{ error }]);
+                this._handleError(error, 'escalation-error');
+                return { status: 'failed', error };
+            });
+    }
+
+    /**
+     * Create the chat and search an agent for it
+     *
+     * @param  {object}  userData
+     * @return {Promise}
+     */
+    _startChat (userData) {
+        this._claimLobby();
+        return this.initUserSession(userData)
+            .then(this.createChat.bind(this))
+            .then(() => {
+                this.lifecycle.transition(chatStates.QUEUED, this.chat.id);
+                // send the messages the user wrote while the chat was being created
+                this.outbox.resume(this.chat.id);
+            })
+            .then(this.getCurrentBotState.bind(this))
+            .then(this.showAllButtons.bind(this))
+            .then(this.searchAgent.bind(this))
+            .then((res) => {
+                if (!res || !res.agent) {
+                    this._onForeverAlone({});
+                } else {
+                    this.showWaitingForAgent();
+                    this._startQueueUpdates();
+                }
+                this.setConnectedMode();
+            })
+            .then(this.monitorUserActivity.bind(this));
+    }
+
+    /**
+     * Show a form to leave a message when there are no agents and create an offline ticket with it
+     *
+     * @param  {object}  userData Data received from the escalation, used to prefill the form
+     * @return {Promise}
+     */
+    showOfflineForm (userData = {}) {
+        const options = this.conf.get('offlineTickets');
+        const labels = assign({}, defaultOfflineLabels, options.labels);
+
+        const form = new ConversationForm(this.bot, {
+            id: this._getFormId(offlineFormId),
+            title: labels.title,
+            labels,
+            fields: [
+                { name: 'name', label: labels.name, type: 'text', required: true },
+                { name: 'email', label: labels.email, type: 'email', required: true },
+                { name: 'message', label: labels.message, type: 'textarea', required: true },
+            ],
+        });
+
+        const username = !isUndefined(userData.LAST_NAME) ? [userData.FIRST_NAME, userData.LAST_NAME].join(' ') : userData.FIRST_NAME;
+
+        return form.show({ name: username, email: userData.EMAIL_ADDRESS })
+            .then((values) => {
+                return this.createOfflineTicket(values)
+                    .then((ticketData) => {
+                        this._displayMessage({
+                            type: 'system',
+                            translate: true,
+                            message: 'offline-ticket-created',
+                            replacements: { ticketId: ticketData.ticketId },
+                        });
+                    })
+                    .catch(() => {
+                        this._displayMessage({
+                            type: 'system',
+                            translate: true,
+                            message: 'offline-ticket-error',
+                        });
+                    });
+            }, () => {
+                // the user cancelled the form, the "no agents" message is already displayed
+            });
+    }
+
+    /**
+     * Create a ticket with the message the user left while there were no agents
+     *
+     * @param  {object}  values { name, email, message }
+     * @return {Promise}        Resolves with the data sent in the "ticket:created" event
+     */
+    createOfflineTicket (values) {
+        const lang = this.conf.get('lang')();
+        const source = this.conf.get('source')();
+        const availability = this.availability || {};
+        const room = this.room || availability.room || this.conf.getRooms(lang)[0];
+
+        return this.init()
+            .then(() => this.icf.Api.request('/users', 'POST', {
+                name: values.name,
+                contact: values.email,
+            }))
+            .then((res) => this.icf.Api.request('/tickets', 'POST', {
+                creator: res.data.user.id,
+                title: truncate(values.message, { length: 100 }),
+                message: values.message,
+                room,
+                lang,
+                source,
+            }))
+            .then((res) => {
+                const ticketData = { ticketId: res.data.ticket.id, room };
+                this.trigger('ticket:created', [ticketData]);
+                return ticketData;
+            });
+    }
+
+    /**
+     * Report an error with the "error" event and the "onError" configuration hook
+     *
+     * If "onError" is not defined, the given system message (if any) is displayed so the user knows what happened.
+     * Nothing is logged: without listeners nor "onError" the errors are silent
+     *
+     * @param  {HCError} error
+     * @param  {string}  systemMessage Translation key of the default message to display
+     */
+    _handleError (error, systemMessage = null) {
+        this.trigger('error', [error]);
+
+        const onError = this.conf.get('onError');
+        if (isFunction(onError)) {
+            onError(error);
+        } else if (systemMessage) {
+            this._displayMessage({
+                type: 'system',
+                translate: true,
+                message: systemMessage,
+            });
         }
     }
 
@@ -199,10 +695,10 @@ export default class HCAdapter extends EventEmitter {
      * Show all buttons defined by configuration
      */
     showAllButtons () {
-        if (Conf.get('fileUploadsActive') === true) {
+        if (this.conf.get('fileUploadsActive') === true) {
             this.bot.actions.showUploadMediaButton();
         }
-        if (Conf.get('showCloseButton') === true) {
+        if (this.conf.get('showCloseButton') === true) {
             this.bot.actions.showCloseButton();
         }
     }
@@ -211,10 +707,10 @@ export default class HCAdapter extends EventEmitter {
      * Hide all buttons defined by configuration
      */
     hideAllButtons () {
-        if (Conf.get('fileUploadsActive') === true) {
+        if (this.conf.get('fileUploadsActive') === true) {
             this.bot.actions.hideUploadMediaButton();
         }
-        if (Conf.get('showCloseButton') === true) {
+        if (this.conf.get('showCloseButton') === true) {
             this.bot.actions.hideCloseButton();
         }
     }
@@ -226,15 +722,56 @@ export default class HCAdapter extends EventEmitter {
      */
     restore () {
         // set chat in "connecting" mode
+        this.lifecycle.transition(chatStates.CONNECTING);
+        this.outbox.pause();
         this.setConnectingMode();
 
         return this.init()
+            .then(() => {
+                // the chat being restored was opened by this instance, the lobby session is its own
+                lobbyOwners.set(this.icf, this);
+            })
             .then(this.restoreChat.bind(this))
+            .then(() => {
+                if (isEmpty(this.chat)) {
+                    // the chat was closed while the page was not open
+                    this.lifecycle.transition(chatStates.IDLE, null);
+                } else {
+                    this.lifecycle.transition(this.agent ? chatStates.ACTIVE : chatStates.QUEUED, this.chat.id);
+                }
+            })
+            .then(this._restoreOutbox.bind(this))
             .then(this.setConnectedMode.bind(this))
             .then(this.showAllButtons.bind(this))
             .then(this.monitorUserActivity.bind(this))
+            .then(() => {
+                if (!isEmpty(this.chat)) {
+                    this.trigger('chat:restored', [{ chat: this.chat, room: this.room, lang: this.lang, agent: this.agent }]);
+                }
+            })
             .catch((err) => {
-                console.log('Error!', err);
+                const error = HCError.from(err, SessionError);
+                this.lifecycle.transition(chatStates.IDLE, null);
+                this._discardOutbox();
+                this.setConnectedMode();
+                this.trigger('restore:failed', [{ error }]);
+                this._handleError(error, 'restore-error');
+            });
+    }
+
+    /**
+     * Load the messages that weren't sent before the page reload and retry them in order
+     *
+     * @return {Promise}
+     */
+    _restoreOutbox () {
+        const chatId = !isEmpty(this.chat) ? this.chat.id : null;
+
+        return this.outbox.load(chatId)
+            .then((discarded) => {
+                // messages of chats that are already closed can't be sent anymore
+                discarded.forEach(item => this._setMessageError(item.id));
+                return this.outbox.resume(chatId);
             });
     }
 
@@ -244,6 +781,7 @@ export default class HCAdapter extends EventEmitter {
      * @return {Promise}
      */
     initUserSession (data = {}) {
+        this.historyRedactionNotified = false;
         const username = !isUndefined(data.LAST_NAME) ? [data.FIRST_NAME, data.LAST_NAME].join(' ') : data.FIRST_NAME;
         const userData = {
             name: username,
@@ -255,18 +793,33 @@ export default class HCAdapter extends EventEmitter {
         if (!isEmpty(formExtraInfo)) {
             let extraInfo = formExtraInfo;
             // call the extraInfo function if defined in the conf to get all the wanted data
-            const getExtraInfo = Conf.get('extraInfo');
+            const getExtraInfo = this.conf.get('extraInfo');
             if (getExtraInfo && isFunction(getExtraInfo)) {
                 extraInfo = assign(extraInfo, getExtraInfo());
             }
+            if (this.redactor) {
+                const redacted = this.redactor.redactObject(extraInfo);
+                extraInfo = redacted.data;
+                if (redacted.rules.length) {
+                    this._notifyRedaction('extraInfo', redacted.rules);
+                }
+            }
             userData.extraInfo = extraInfo;
         }
 
-        return ICF.Api.request('/users', 'POST', userData)
-            .then((res) => ICF.Lobby.init({
-                id: res.data.user.id,
-                token: res.data.session.token,
-            }));
+        return this.icf.Api.request('/users', 'POST', userData)
+            .then((res) => {
+                const session = {
+                    id: res.data.user.id,
+                    token: res.data.session.token,
+                };
+                // keep the session to restore the chat when the HyperChat cookie is blocked or partitioned
+                this.storage.setItem('session', session);
+                return this.icf.Lobby.init(session);
+            })
+            .catch((err) => {
+                throw new SessionError(undefined, err);
+            });
     }
 
     /**
@@ -276,34 +829,39 @@ export default class HCAdapter extends EventEmitter {
      */
     createChat () {
         return this.getChatData()
-            .then((chatData) => ICF.Chat.init(chatData))
+            .then((chatData) => this.icf.Chat.init(chatData))
             .catch((data) => {
                 if (data.error && data.error.message === userHasChatMessage) {
-                    const lobbyChatIds = Object.keys(ICF.Lobby.getUserChats());
+                    const lobbyChatIds = Object.keys(this.icf.Lobby.getUserChats());
                     // if Lobby already has the chat, init it
                     if (lobbyChatIds.length) {
-                        return ICF.Chat.init({ id: lobbyChatIds.shift() });
+                        return this.icf.Chat.init({ id: lobbyChatIds.shift() });
                     } else {
-                        return ICF.Events.send('users:chats', { userId: ICF.Connection.me().id })
+                        return this.icf.Events.send('users:chats', { userId: this.icf.Connection.me().id })
                             .then((data) => {
                                 if (data.chats) {
                                     const userChatIds = Object.keys(data.chats);
                                     if (userChatIds.length) {
-                                        return ICF.Chat.init({ id: userChatIds.shift() });
+                                        return this.icf.Chat.init({ id: userChatIds.shift() });
                                     }
                                 }
                             });
                     }
                 }
+                throw data;
             })
             .then((chat) => {
-                if (chat) {
-                    this.chat = chat;
-                    this._initChatListeners();
-
-                    this.trigger('chat:created', [{ chat }]);
+                if (!chat) {
+                    throw new Error('No chat returned');
                 }
+                this.chat = chat;
+                this._initChatListeners();
+
+                this.trigger('chat:created', [{ chat, room: this.room }]);
                 return null;
+            })
+            .catch((err) => {
+                throw HCError.from(err, ChatCreationError, { room: this.room, lang: this.lang });
             });
     }
 
@@ -313,21 +871,53 @@ export default class HCAdapter extends EventEmitter {
      * @return {Promise}
      */
     restoreChat () {
-        const chats = ICF.Lobby.getUserChats();
+        return this._restoreSession()
+            .then(() => {
+                const chats = this.icf.Lobby.getUserChats();
 
-        if (!isEmpty(chats)) {
-            // users only can have one single chat active, get the chat
-            const chatId = Object.keys(chats).shift();
-            const chat = ICF.Lobby.chats[chatId];
+                if (!isEmpty(chats)) {
+                    // users only can have one single chat active, get the chat
+                    return this.icf.Lobby.chats[Object.keys(chats).shift()];
+                }
+                // the SDK didn't find the chat, i.e. without cookie, reconnect to the one in the storage
+                if (this.lifecycle.chatId && this.icf.Lobby.logged) {
+                    return this.icf.Chat.init({ id: this.lifecycle.chatId })
+                        .catch(() => null);
+                }
+            })
+            .then((chat) => {
+                if (chat && !chat.closed) {
+                    this.chat = chat;
+                    this.room = chat.room;
+                    this.lang = chat.lang;
+                    // the agent is any other user of the chat
+                    const me = this.icf.Connection.me().id;
+                    const agent = (chat.users || []).filter(user => user.id !== me).pop();
+                    this.agent = agent ? { id: agent.id, name: agent.nickname || agent.name } : null;
+                    this._initChatListeners();
+                    // read any messages that we may have missed
+                    const newMessages = this._readMissedMessages() || [];
+                    newMessages.forEach(newMessage => this._displayInboundMessage(newMessage));
+                }
+            });
+    }
 
-            if (!chat.closed) {
-                this.chat = chat;
-                this._initChatListeners();
-                // read any messages that we may have missed
-                const newMessages = this._readMissedMessages();
-                newMessages.forEach(this._displayMessage.bind(this));
-            }
+    /**
+     * Log in with the session kept in the storage if the SDK couldn't do it with the HyperChat cookie
+     *
+     * @return {Promise}
+     */
+    _restoreSession () {
+        if (this.icf.Lobby.logged) {
+            return Promise.resolve();
         }
+
+        return this.storage.getItem('session')
+            .then((session) => {
+                if (session && session.id && session.token) {
+                    return this.icf.Lobby.init(session);
+                }
+            });
     }
 
     /**
@@ -337,9 +927,13 @@ export default class HCAdapter extends EventEmitter {
      */
     searchAgent () {
         if (!isEmpty(this.chat)) {
-            return this.chat.searchAgent();
+            this.trigger('agent:searching', [{ chatId: this.chat.id, room: this.room }]);
+            return this.chat.searchAgent()
+                .catch((err) => {
+                    throw new ChatError('Agent search failed', err, { chatId: this.chat.id });
+                });
         } else {
-            return Promise.reject();
+            return Promise.reject(new ChatError('No open chat'));
         }
     }
 
@@ -354,6 +948,49 @@ export default class HCAdapter extends EventEmitter {
         });
     }
 
+    /**
+     * Start tracking the queue position while searching for an agent, if configured
+     */
+    _startQueueUpdates () {
+        if (this.conf.get('queueUpdates') && !isEmpty(this.chat)) {
+            this.lastQueueMessage = null;
+            this.queueMonitor.start(this.chat, this.room, this.lang);
+        }
+    }
+
+    /**
+     * Display the queue position, or the estimated wait if it's unknown, with a new system message
+     * whenever it changes (the Chatbot SDK can't change the content of a displayed message)
+     *
+     * @param  {object} data
+     */
+    _onQueueUpdated (data) {
+        this.trigger('queue:updated', [data]);
+
+        let message;
+        if (data.position !== null) {
+            message = {
+                message: 'queue-position',
+                replacements: { position: data.position },
+            };
+        } else if (data.estimatedWait !== null) {
+            message = {
+                message: 'queue-estimated-wait',
+                replacements: { minutes: Math.max(1, Math.ceil(data.estimatedWait / 60)) },
+            };
+        } else {
+            return;
+        }
+
+        const messageKey = JSON.stringify(message);
+        if (messageKey === this.lastQueueMessage) {
+            return;
+        }
+        this.lastQueueMessage = messageKey;
+
+        this._displayMessage(assign({ type: 'system', translate: true }, message));
+    }
+
     /**
      * Display the configured message when there are no agents available
      */
@@ -368,14 +1005,17 @@ export default class HCAdapter extends EventEmitter {
     /**
      * Get all the data to open a chat, like room, lang or bot history
      *
+     * When several rooms are configured, the chat is created in the first one that had available agents
+     * during the availability check, or in the primary room if none of them had
+     *
      * @return {object} Chat data
      */
     getChatData () {
         const data = {};
 
-        const getRoom = Conf.get('room');
-        const getLang = Conf.get('lang');
-        const getSource = Conf.get('source');
+        const getRoom = this.conf.get('room');
+        const getLang = this.conf.get('lang');
+        const getSource = this.conf.get('source');
 
         if (!isFunction(getRoom)) {
             throw new Error('Room configuration must be a callable function');
@@ -390,11 +1030,16 @@ export default class HCAdapter extends EventEmitter {
         }
 
         // get the data from the functions defined on the configuration
-        data.room = getRoom();
         data.lang = getLang();
         data.source = getSource();
+        this.lang = data.lang;
+
+        const rooms = this.conf.getRooms(data.lang);
+        const availability = this.availability || {};
+        data.room = (availability.agentsAvailable && rooms.indexOf(availability.room) !== -1) ? availability.room : rooms[0];
+        this.room = data.room;
 
-        const p = (Conf.get('importBotHistory') === true) ? this._getBotConversation() : Promise.resolve(false);
+        const p = (this.conf.get('importBotHistory') === true) ? this._getBotConversation() : Promise.resolve(false);
         return p
             .then((history) => {
                 if (history) {
@@ -413,10 +1058,16 @@ export default class HCAdapter extends EventEmitter {
         // get the input by its ID
         const input = document.getElementById(userTextInputId);
         // if the sdk is available, put the watcher in it
-        if (window.ICF && input) {
+        if (this.icf && input) {
             const intervalTime = 200;
             const noChangeMax = 10;
-            ICF.Helper.monitorUserActivity(input, this.chat, intervalTime, noChangeMax);
+            this.icf.Helper.monitorUserActivity(input, this.chat, intervalTime, noChangeMax);
+
+            // writing also counts as activity for the inactivity timeout
+            if (input !== this.activityInput) {
+                this.activityInput = input;
+                input.addEventListener('keydown', () => this.inactivityMonitor.activity(), false);
+            }
         }
     }
 
@@ -425,9 +1076,9 @@ export default class HCAdapter extends EventEmitter {
      */
     clear () {
         // If the download transcript button is shown, save the token to make the history request even when refreshing
-        const transcript = Conf.get('transcript');
+        const transcript = this.conf.get('transcript');
         if (transcript && transcript.download) {
-            const token = ICF.Connection.getToken();
+            const token = this.icf.Connection.getToken();
             if (token) {
                 this.storage.setItem('previousToken', token);
             }
@@ -440,32 +1091,137 @@ export default class HCAdapter extends EventEmitter {
     /*
      * Close a chat
      *
+     * @param  {string}  reason Optional, sent to the agent as a system message of the chat, not as written by the user
      * @return {Promise}
      */
-    closeChat () {
+    closeChat (reason) {
         const chatId = this.chat.id;
 
-        if (Object.keys(ICF.Lobby.chats).indexOf(chatId) !== -1) {
-            return ICF.Lobby.chats[chatId].close();
+        if (Object.keys(this.icf.Lobby.chats).indexOf(chatId) !== -1) {
+            const chat = this.icf.Lobby.chats[chatId];
+            // the chat is closed anyway if the reason can't be sent
+            const notified = reason
+                ? this.icf.Api.request('/chats/' + chatId + '/system-messages', 'POST', { message: reason }).catch(() => {})
+                : Promise.resolve();
+
+            return notified
+                .then(() => chat.close())
+                .catch((err) => {
+                    const error = new ChatError('Chat could not be closed', err, { chatId });
+                    this._handleError(error);
+                    throw error;
+                });
+        }
+        return Promise.reject(new ChatError('No open chat', null, { chatId }));
+    }
+
+    /**
+     * Close the current chat as the user and run all the "chat closed" actions
+     *
+     * @param  {string}  reason Optional, sent to the agent as a system message before closing
+     * @return {Promise}
+     */
+    endChat (reason) {
+        if (!this.lifecycle.is(chatStates.QUEUED, chatStates.ACTIVE) || isEmpty(this.chat)) {
+            return Promise.reject(new ChatError('No open chat'));
         }
-        return Promise.reject();
+        const previousState = this.lifecycle.state;
+        const onChatClosedData = { chatId: this.chat.id, userId: this.icf.Connection.me().id };
+        if (reason) {
+            onChatClosedData.reason = reason;
+        }
+
+        this.lifecycle.transition(chatStates.CLOSING);
+        return this.closeChat(reason)
+            .catch((err) => {
+                this.lifecycle.transition(previousState);
+                throw err;
+            })
+            .then(this._onChatClosed.bind(this, onChatClosedData));
+    }
+
+    /**
+     * Get the information of the current chat
+     *
+     * @return {object} { chatId, room, lang, agent, state, surveyPending } where state is one of the "chatStates"
+     */
+    getChatInfo () {
+        const hasChat = !isEmpty(this.chat);
+
+        return {
+            chatId: hasChat ? this.chat.id : null,
+            room: hasChat ? this.room : null,
+            lang: hasChat ? this.lang : null,
+            agent: this.agent ? assign({}, this.agent) : null,
+            state: this.chatState,
+            surveyPending: !!this.surveyPending,
+        };
+    }
+
+    /**
+     * Display a system message in the bot window
+     *
+     * @param  {mixed}  message Text, or system message object like { message, translate, replacements, options }
+     * @return {string}         ID of the displayed message
+     */
+    sendSystemMessage (message) {
+        const messageData = isString(message) ? { message } : message;
+        return this._displayMessage(assign({}, messageData, { type: 'system' }));
     }
 
     /**
      * Remove the chat object
      */
     clearChat () {
+        this.queueMonitor.stop();
+        if (this.connectionLost) {
+            // the chat is over, the user talks to the bot again even if the connection is still down
+            this.connectionLost = false;
+            this.setConnectedMode();
+        }
+        this._discardOutbox();
         this.chat = {};
+        this.agent = null;
+        this.uploadedFiles = 0;
         this.hideAllButtons();
         this.restorePreviousBotState();
     }
 
+    /**
+     * Remove the messages that were not sent, marking them with the error tick
+     */
+    _discardOutbox () {
+        this.outbox.clear()
+            .then((removed) => {
+                removed.forEach(item => this._setMessageError(item.id));
+                return this.outbox.resume();
+            });
+    }
+
     /**
      * Clear the user lobby
      */
     clearLobby () {
-        ICF.Lobby.close();
-        ICF.Lobby.chats = {};
+        // don't close the session of another instance that is using the lobby now
+        if (lobbyOwners.get(this.icf) === this) {
+            this.icf.Lobby.close();
+            this.icf.Lobby.chats = {};
+            lobbyOwners.delete(this.icf);
+        }
+        this.storage.removeItem('session');
+    }
+
+    /**
+     * Take the lobby of the ICF object to open a chat on it
+     *
+     * Throws a ChatCreationError if another adapter instance has a chat open with the same ICF
+     */
+    _claimLobby () {
+        const owner = lobbyOwners.get(this.icf);
+        if (owner && owner !== this && !owner.lifecycle.is(chatStates.IDLE, chatStates.CLOSED)) {
+            throw new ChatCreationError('Another adapter instance has a chat open, only one chat is allowed at a time');
+        }
+        lobbyOwners.set(this.icf, this);
     }
 
     /**
@@ -486,7 +1242,7 @@ export default class HCAdapter extends EventEmitter {
                 .on('chat:intervened', this._onChatIntervened.bind(this))
                 .on('forever:alone', this._onForeverAlone.bind(this));
 
-            ICF.Lobby.addEventListener('system:info', this._onSystemInfo.bind(this));
+            this.icf.Lobby.addEventListener('system:info', this._onSystemInfo.bind(this));
         }
     }
 
@@ -496,7 +1252,7 @@ export default class HCAdapter extends EventEmitter {
      * @return {array} Messages that were marked as read
      */
     _readMissedMessages () {
-        if (ICF.Lobby.logged) {
+        if (this.icf.Lobby.logged) {
             const newMessages = [];
             const unreadMessages = this.chat.readAnyUnreadMessageFromHistory();
             Object.keys(unreadMessages).forEach((msgId) => {
@@ -530,9 +1286,125 @@ export default class HCAdapter extends EventEmitter {
      * Callback executed when the bot is built
      */
     _onReady () {
-        if (this.isChatOpen()) {
-            this.restore();
+        return this.lifecycle.load()
+            .then(() => {
+                if (this.lifecycle.is(chatStates.CONNECTING, chatStates.QUEUED, chatStates.ACTIVE, chatStates.CLOSING)) {
+                    return this.restore();
+                }
+                // nothing stored (memory storage, or a chat opened by a previous version), but the SDK session survived
+                if (!this.lifecycle.stored && this._hasChatCookie()) {
+                    return this.restore();
+                }
+            });
+    }
+
+    /**
+     * Callback executed after every change of the chat state
+     *
+     * @param  {object} change { previous, state, chatId }
+     */
+    _onStateChanged (change) {
+        if (change.state === chatStates.ACTIVE) {
+            this.inactivityMonitor.start(change.chatId);
+        } else if (change.state === chatStates.CLOSED || change.state === chatStates.IDLE) {
+            this.inactivityMonitor.stop();
         }
+        this.trigger('chat:state-changed', [change]);
+    }
+
+    /**
+     * Callback executed when the user has been inactive for "inactivity.warnAfter" minutes during a chat
+     *
+     * @param  {object} data { chatId, closeAfter }
+     */
+    _onInactivityWarning (data) {
+        this._displayMessage({
+            type: 'system',
+            id: inactivityWarningId,
+            translate: true,
+            message: 'inactivity-warning',
+            replacements: { minutes: data.closeAfter },
+            options: [
+                { label: 'inactivity-still-here', value: 'stay' },
+                { label: 'inactivity-close-chat', value: 'close' },
+            ],
+        });
+        this.trigger('inactivity:warning', [data]);
+    }
+
+    /**
+     * Callback executed when the user didn't answer the inactivity warning in "inactivity.closeAfter" minutes
+     *
+     * @param  {object} data { chatId, closeAfter }
+     */
+    _onInactivityTimeout (data) {
+        const reason = (this.conf.get('inactivity') || {}).reason || defaultInactivityReason;
+        this.trigger('inactivity:timeout', [{ chatId: data.chatId, reason }]);
+        // closeChat already reports the errors
+        this.endChat(reason).catch(() => {});
+    }
+
+    /**
+     * Callback executed when the browser goes offline during a chat, or a message can't be sent to it
+     *
+     * The SDK doesn't notify when its own connection drops while the browser is online, so a failed message
+     * is taken as the sign of it. The messages the user writes are kept in the outbox until the connection is back:
+     * when the browser is offline the outbox waits for the "online" event, otherwise it keeps retrying and the
+     * first message sent tells the connection is back. Depending on "offlineInput", the input is disabled
+     * ("disable") or left enabled with the system message as warning ("flag")
+     *
+     * @param  {string} source "browser" or "message"
+     */
+    _onConnectionLost (source) {
+        if (this.connectionLost || !this.isChatOpen() || isEmpty(this.chat)) {
+            return;
+        }
+
+        this.connectionLost = true;
+        if (source === 'browser') {
+            this.outbox.pause();
+        }
+        if (this.conf.get('offlineInput') !== 'flag') {
+            this.setConnectingMode();
+        }
+        this._displayMessage({
+            type: 'system',
+            translate: true,
+            message: 'connection-lost',
+        });
+        this.trigger('connection:lost', [{ chatId: this.chat.id, source }]);
+    }
+
+    /**
+     * Callback executed when the browser is back online, or a message is sent after the connection was lost
+     *
+     * Shows the agent messages sent while the connection was down, enables the input and sends the
+     * messages the user wrote in the meantime
+     *
+     * @param  {string} source "browser" or "message"
+     */
+    _onConnectionRestored (source) {
+        if (!this.connectionLost) {
+            // retry the messages that couldn't be sent, the connection may have dropped without notice
+            if (!isEmpty(this.chat)) {
+                this.outbox.retry();
+            }
+            return;
+        }
+
+        this.connectionLost = false;
+        const missedMessages = this._readMissedMessages() || [];
+        missedMessages.forEach(missedMessage => this._displayInboundMessage(missedMessage));
+        this._displayMessage({
+            type: 'system',
+            translate: true,
+            message: 'connection-restored',
+        });
+        this.setConnectedMode();
+        if (source === 'browser') {
+            this.outbox.resume(this.chat.id);
+        }
+        this.trigger('connection:restored', [{ chatId: this.chat.id, source, missedMessages: missedMessages.length }]);
     }
 
     /**
@@ -541,9 +1413,12 @@ export default class HCAdapter extends EventEmitter {
      * @param  {object} data
      */
     _onUserJoin (data) {
+        this.queueMonitor.stop();
+        this.lifecycle.transition(chatStates.ACTIVE);
         this.trigger('user:joined', [data]);
 
         const agentName = data.user.nickname ? data.user.nickname : data.user.name;
+        this.agent = { id: data.user.id, name: agentName };
         // set the name of the agent in the chat
         this.bot.actions.setChatbotName({
             source: 'name',
@@ -566,6 +1441,9 @@ export default class HCAdapter extends EventEmitter {
         this.trigger('user:left', [data]);
 
         const agentName = data.user.nickname ? data.user.nickname : data.user.name;
+        if (this.agent && this.agent.id === data.user.id) {
+            this.agent = null;
+        }
 
         this._displayMessage({
             type: 'system',
@@ -584,14 +1462,17 @@ export default class HCAdapter extends EventEmitter {
         if (!isEmpty(data)) {
             // get the information of the user who's writing
             const user = this.chat.users.filter((user) => user.id === data.userId).pop();
+            const name = user.nickname ? user.nickname : user.name;
 
             if (data.type === 'writing') {
+                this.trigger('agent:typing', [{ userId: user.id, name, typing: true }]);
                 this.bot.actions.displayChatbotActivity({
                     type: 'writing',
                     name: user.nickname ? user.nickname : user.name,
                     userId: user.id,
                 });
             } else if (data.type === 'not-writing' || data.type === 'stop-writing') {
+                this.trigger('agent:typing', [{ userId: user.id, name, typing: false }]);
                 this.bot.actions.hideChatbotActivity({
                     type: 'not-writing',
                     name: user.nickname ? user.nickname : user.name,
@@ -619,13 +1500,16 @@ export default class HCAdapter extends EventEmitter {
         };
 
         // if the message comes from another tab where the same user is connected to
-        if (ICF.Connection.me().id === sender) {
+        if (this.icf.Connection.me().id === sender) {
             messageData.type = 'user';
             messageData.message = message.message;
-            // get the message ID to update the external ID
-            const messageId = this._displayMessage(messageData);
-            this._setMessageExternalId({ id: messageId }, message.id);
-            return;
+            return this._displayInboundMessage(messageData)
+                .then((messageId) => {
+                    // get the message ID to update the external ID
+                    if (messageId) {
+                        this._setMessageExternalId({ id: messageId }, message.id);
+                    }
+                });
         }
 
         if (message.type === 'media') {
@@ -636,17 +1520,100 @@ export default class HCAdapter extends EventEmitter {
         }
 
         if (isString(sender)) {
-            this._displayMessage(messageData);
+            return this._displayInboundMessage(messageData);
         }
     }
 
+    /**
+     * Run a message received from the chat through the inbound middleware and display the result
+     *
+     * @param  {object}  messageData Message in the bot format
+     * @return {Promise}             Resolves with the ID of the displayed message, if any
+     */
+    _displayInboundMessage (messageData) {
+        const context = {
+            direction: 'inbound',
+            source: messageData.type === 'user' ? 'user' : 'agent',
+            chat: this.chat,
+        };
+
+        return this._runPipeline('inbound', assign({}, messageData), context)
+            .catch((err) => {
+                // don't lose the message if a middleware fails, display it as it was received
+                this._handleError(new ChatError('Inbound middleware failed', err, { chatId: isEmpty(this.chat) ? null : this.chat.id }));
+                return messageData;
+            })
+            .then((result) => {
+                if (result) {
+                    const messageId = this._displayMessage(result);
+                    this.trigger('message:received', [{ messageId, message: result, source: context.source }]);
+                    return messageId;
+                }
+            });
+    }
+
+    /**
+     * Middleware that masks the personal data of the outbound messages
+     *
+     * @param  {object} message
+     * @param  {object} context
+     */
+    _redactMessage (message, context) {
+        const result = this.redactor.redact(message.message);
+        if (result.rules.length) {
+            message.message = result.text;
+            message.metadata.redacted = result.rules;
+            this._notifyRedaction(context.source, result.rules);
+        }
+    }
+
+    /**
+     * Tell the user that some personal data was masked, only once per chat for the imported history and extraInfo
+     *
+     * @param  {string} source "user", "history" or "extraInfo"
+     * @param  {Array}  rules  Names of the rules that matched
+     */
+    _notifyRedaction (source, rules) {
+        if (this.redactor.options.notify === false) {
+            return;
+        }
+        if (source !== 'user') {
+            if (this.historyRedactionNotified) {
+                return;
+            }
+            this.historyRedactionNotified = true;
+        }
+
+        this._displayMessage({
+            type: 'system',
+            translate: true,
+            message: 'message-redacted',
+            replacements: { rules: rules.join(', ') },
+        });
+    }
+
+    /**
+     * Run a message through the given middleware chain after the previous messages of the same direction
+     *
+     * @param  {string}  direction "inbound" or "outbound"
+     * @param  {object}  message
+     * @param  {object}  context
+     * @return {Promise}           Resolves with the resulting message, or null if it was dropped
+     */
+    _runPipeline (direction, message, context) {
+        const run = () => this.pipelines[direction].run(message, context);
+        const result = this.pipelineQueues[direction].then(run, run);
+        this.pipelineQueues[direction] = result.catch(() => {});
+        return result;
+    }
+
     /**
      * Callback executed every time a message is read by another user
      *
      * @param  {object} data
      */
     _onMessageRead (data) {
-        if (!isEmpty(data) && !isEmpty(data.message) && data.message.sender === ICF.Connection.me().id) {
+        if (!isEmpty(data) && !isEmpty(data.message) && data.message.sender === this.icf.Connection.me().id) {
             this._setMessageDoubleCheck(data.message.id);
         }
     }
@@ -658,6 +1625,8 @@ export default class HCAdapter extends EventEmitter {
      * @param  {boolean} clear
      */
     _onChatClosed (data) {
+        this.queueMonitor.stop();
+        this.lifecycle.transition(chatStates.CLOSED);
         this.storage.setItem('lastClosedTime', Helpers.getUnixTime());
 
         this.trigger('chat:closed', [data]);
@@ -669,7 +1638,7 @@ export default class HCAdapter extends EventEmitter {
 
         // Clear if it hasn't been cleared externally in 5s (in onSystemInfo)
         setTimeout(() => {
-            if (ICF.Lobby.logged) {
+            if (this.icf.Lobby.logged) {
                 this._clearAndShowChatClosedMessage();
                 this.storage.setItem('lastClosedTime', Helpers.getUnixTime());
             }
@@ -683,6 +1652,12 @@ export default class HCAdapter extends EventEmitter {
      * @param  {object} data
      */
     _onSystemInfo (data) {
+        // the lobby events are received by every instance that had a chat, only handle those of the current one
+        const chatId = data.data && data.data.chatId;
+        if (isEmpty(this.chat) || (chatId && chatId !== this.chat.id)) {
+            return;
+        }
+        this.lifecycle.transition(chatStates.CLOSED);
         // system info comes from a chat to ticket response
         if (data.data && data.data.ticketId) {
             this.trigger('ticket:created', [data.data]);
@@ -692,7 +1667,7 @@ export default class HCAdapter extends EventEmitter {
         // Although it will delete the original "chat closed" message, it will show another one after the clear
         this._clearAndShowChatClosedMessage();
 
-        const transcript = Conf.get('transcript');
+        const transcript = this.conf.get('transcript');
         const hasTranscript = transcript && transcript.download;
         if (hasTranscript) {
             this._displayMessage({
@@ -705,7 +1680,7 @@ export default class HCAdapter extends EventEmitter {
 
         this.storage.setItem('lastClosedTime', Helpers.getUnixTime());
 
-        const surveys = Conf.get('surveys');
+        const surveys = this.conf.get('surveys');
         if (surveys) {
             this._showSurvey(data.data.ticketId);
         }
@@ -717,6 +1692,7 @@ export default class HCAdapter extends EventEmitter {
      * @param  {object} data
      */
     _onChatIntervened (data) {
+        this.trigger('chat:intervened', [data]);
         for (let user of data.intervenedUsers) {
             this._onUserLeave({ user: user });
         }
@@ -729,13 +1705,19 @@ export default class HCAdapter extends EventEmitter {
      * @param  {object} data
      */
     _onForeverAlone (data) {
+        this.queueMonitor.stop();
+        this.trigger('forever:alone', [{ chatId: this.chat.id }]);
         this.showNoAgents();
         if (this.chat && this.chat.close) {
             this.chat.close();
         }
         // If a forever:alone is received, the user is closing the chat
-        const onChatClosedData = { chatId: this.chat.id, userId: ICF.Connection.me().id };
+        const onChatClosedData = { chatId: this.chat.id, userId: this.icf.Connection.me().id };
         this._onChatClosed(onChatClosedData);
+
+        if (this.conf.get('offlineTickets')) {
+            this.showOfflineForm(this.userData);
+        }
     }
 
     /**
@@ -745,15 +1727,14 @@ export default class HCAdapter extends EventEmitter {
      * @param  {Function} next
      */
     _onUserMessage (message, next) {
-        // if there's no open chat and we're not collecting user's data, call next
-        if (!this.isChatOpen()) {
-            return next(message);
-        }
-
-        // send messages to chat if there's one open
-        if (this.isChatOpen()) {
+        // send messages to chat if there's one open, or to the outbox until the chat is created
+        if (this.lifecycle.is(chatStates.CONNECTING, chatStates.QUEUED, chatStates.ACTIVE)) {
+            this.inactivityMonitor.activity();
             return this._sendMessage(message);
         }
+
+        // there's no chat, or it's closing and the agent won't read more messages: talk to the bot
+        return next(message);
     }
 
     /**
@@ -762,7 +1743,7 @@ export default class HCAdapter extends EventEmitter {
      * @param {object} media
      */
     _onDownloadMedia (media, next) {
-        if (isUndefined(window.ICF)) {
+        if (isUndefined(this.icf)) {
             window.open(media.url);
         }
 
@@ -771,7 +1752,8 @@ export default class HCAdapter extends EventEmitter {
             media.file.url = '/media/' + media.messageExternalId;
         }
 
-        ICF.Helper.downloadMedia(media.file);
+        this.icf.Helper.downloadMedia(media.file);
+        this.trigger('media:downloaded', [{ file: media.file }]);
     }
 
     /**
@@ -780,22 +1762,59 @@ export default class HCAdapter extends EventEmitter {
      * @param {object} media
      */
     _onUploadMedia (media, next) {
-        if (isUndefined(window.ICF)) {
+        if (isUndefined(this.icf)) {
             return;
         }
-        this._setMessagePending(media.messageId);
 
         const file = media.file;
-        return this.chat.sendMedia(file, (progress) => {
-            // TODO: set uploading progress
-        })
+        const rejection = this._validateUpload(file);
+        if (rejection) {
+            this._setMessageError(media.messageId);
+            this.trigger('media:upload-failed', [{ messageId: media.messageId, fileName: file.name, reason: 'rejected', error: null }]);
+            return this._displayMessage(assign({ type: 'system', translate: true }, rejection));
+        }
+
+        this._setMessagePending(media.messageId);
+
+        const upload = { messageId: media.messageId, file, percentage: -1 };
+        const cancelled = new Promise((resolve, reject) => {
+            upload.cancel = () => {
+                const err = new Error('Upload cancelled');
+                err.cancelled = true;
+                reject(err);
+            };
+        });
+        upload.request = this.chat.sendMedia(file, this._onUploadProgress.bind(this, upload));
+        this.uploads[media.messageId] = upload;
+
+        return Promise.race([upload.request, cancelled])
             .then((data) => {
+                delete this.uploads[media.messageId];
+                this.uploadedFiles++;
                 // set upload to finished and set external ID
                 this._setMessageCheck(media.messageId);
                 this._setMessageExternalId({ id: media.messageId }, data.media.id);
+                this.trigger('media:uploaded', [{ messageId: media.messageId, fileName: file.name, mediaId: data.media.id }]);
             })
             .catch(e => {
+                delete this.uploads[media.messageId];
                 this._setMessageError(media.messageId);
+                this.trigger('media:upload-failed', [{
+                    messageId: media.messageId,
+                    fileName: file.name,
+                    reason: e.cancelled ? 'cancelled' : 'error',
+                    error: e,
+                }]);
+                if (!e.cancelled) {
+                    this._handleError(new UploadError(undefined, e, { messageId: media.messageId, fileName: file.name }));
+                }
+                if (e.cancelled) {
+                    return this._displayMessage({
+                        type: 'system',
+                        translate: true,
+                        message: 'upload-cancelled'
+                    });
+                }
                 if (e.code === 403 && e.message === 'File type is not allowed') {
                     return this._displayMessage({
                         type: 'system',
@@ -806,6 +1825,123 @@ export default class HCAdapter extends EventEmitter {
             });
     }
 
+    /**
+     * Check the file against the upload restrictions of the configuration before sending it
+     *
+     * @param  {File}   file
+     * @return {object}      System message to display if the file is rejected, null if it's valid
+     */
+    _validateUpload (file) {
+        const maxFiles = this.conf.get('fileUploadsMaxFiles');
+        // the uploads still in progress count too, or several files sent at once would exceed the limit
+        if (isNumber(maxFiles) && this.uploadedFiles + Object.keys(this.uploads).length >= maxFiles) {
+            return { message: 'file-limit-reached', replacements: { maxFiles } };
+        }
+
+        const maxSize = this.conf.get('fileUploadsMaxSize');
+        if (isNumber(maxSize) && file.size > maxSize) {
+            // show the limit in MB, with up to one decimal
+            const maxSizeMB = Math.round(maxSize / 104857.6) / 10;
+            return { message: 'file-too-large', replacements: { maxSize: maxSizeMB } };
+        }
+
+        const allowedTypes = this.conf.get('fileUploadsAllowedTypes');
+        if (isArray(allowedTypes)) {
+            const fileType = (file.type || '').toLowerCase();
+            const isAllowedType = allowedTypes.some(type => {
+                type = type.toLowerCase();
+                // support wildcards like "image/*"
+                if (type.slice(-2) === '/*') {
+                    return fileType.indexOf(type.slice(0, -1)) === 0;
+                }
+                return fileType === type;
+            });
+            if (!isAllowedType) {
+                return { message: 'file-type-not-allowed' };
+            }
+        }
+
+        const allowedExtensions = this.conf.get('fileUploadsAllowedExtensions');
+        if (isArray(allowedExtensions)) {
+            const dotPosition = (file.name || '').lastIndexOf('.');
+            const extension = dotPosition !== -1 ? file.name.slice(dotPosition + 1).toLowerCase() : '';
+            const isAllowedExtension = allowedExtensions.some(allowed => allowed.replace(/^\./, '').toLowerCase() === extension);
+            if (!isAllowedExtension) {
+                return { message: 'file-extension-not-allowed' };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Callback executed while a file is being uploaded
+     *
+     * @param  {object} upload
+     * @param  {mixed}  progress Progress event with loaded/total bytes, or a percentage
+     */
+    _onUploadProgress (upload, progress) {
+        let loaded, total;
+        if (isNumber(progress)) {
+            total = upload.file.size;
+            loaded = Math.round(total * progress / 100);
+        } else if (progress && isNumber(progress.loaded) && progress.total) {
+            loaded = progress.loaded;
+            total = progress.total;
+        } else {
+            return;
+        }
+
+        const percentage = Math.min(100, Math.floor(loaded * 100 / total));
+        // only notify whole percentage changes
+        if (percentage === upload.percentage || !this.uploads[upload.messageId]) {
+            return;
+        }
+        upload.percentage = percentage;
+
+        // the bot message keeps its "pending" tick, the Chatbot SDK has no action to show the percentage in it
+        this.trigger('media:upload-progress', [{
+            messageId: upload.messageId,
+            fileName: upload.file.name,
+            loaded,
+            total,
+            percentage,
+        }]);
+    }
+
+    /**
+     * Cancel an upload that is still in progress
+     *
+     * The request is aborted if the SDK allows it. Otherwise its result is ignored and, as the file reaches the
+     * chat anyway, the agent is told to ignore it with a system message once it's uploaded
+     *
+     * @param  {string}  botMessageId ID of the bot message of the file
+     * @return {Boolean}              Whether the upload was cancelled, false if it's already finished
+     */
+    cancelUpload (botMessageId) {
+        const upload = this.uploads[botMessageId];
+        if (!upload) {
+            return false;
+        }
+
+        if (isFunction(upload.request.abort)) {
+            upload.request.abort();
+        } else {
+            const chatId = this.chat.id;
+            upload.request
+                .then(() => {
+                    return this.icf.Api.request('/chats/' + chatId + '/system-messages', 'POST', {
+                        message: uploadCancelledNotice + upload.file.name,
+                    });
+                })
+                // the file didn't reach the chat, or the agent can't be told: nothing else to do
+                .catch(() => {});
+        }
+        delete this.uploads[botMessageId];
+        upload.cancel();
+        return true;
+    }
+
     /**
      * Callback that's executed when the user selects an option from a system message
      *
@@ -813,7 +1949,7 @@ export default class HCAdapter extends EventEmitter {
      * @param  {Function} next
      */
     _onSelectSystemMessageOption (optionData, next) {
-        const props = Conf.get('transcript');
+        const props = this.conf.get('transcript');
         // if the download transcript function is active and the option is clicked
         if (props && (optionData.option.value.type === systemMessageTicketDataType)) {
 
@@ -825,13 +1961,19 @@ export default class HCAdapter extends EventEmitter {
                     if (previousToken) {
                         requestData.token = previousToken;
                     }
-                    ICF.Helper.downloadConversation(optionData.option.value.chatId, props, requestData);
+                    this.icf.Helper.downloadConversation(optionData.option.value.chatId, props, requestData);
                 });
 
-        } else if (this.isChatOpen() && optionData.id === closeChatOption && optionData.option.value === 'yes') {
-            // if the user is closing the chat
-            const onChatClosedData = { chatId: this.chat.id, userId: ICF.Connection.me().id };
-            this.closeChat().then(this._onChatClosed.bind(this, onChatClosedData));
+        } else if (this.lifecycle.is(chatStates.QUEUED, chatStates.ACTIVE) && optionData.id === closeChatOption && optionData.option.value === 'yes') {
+            // if the user is closing the chat, closeChat already reports the errors
+            this.endChat().catch(() => {});
+        } else if (this.lifecycle.is(chatStates.QUEUED, chatStates.ACTIVE) && optionData.id === inactivityWarningId) {
+            // answer to the inactivity warning
+            if (optionData.option.value === 'close') {
+                this.endChat().catch(() => {});
+            } else {
+                this.inactivityMonitor.activity();
+            }
         } else {
             return next(optionData);
         }
@@ -878,11 +2020,14 @@ export default class HCAdapter extends EventEmitter {
     /**
      * Send a message to the chat as the current user
      *
+     * The message is kept in the outbox until it's sent, so it's retried if it fails or the page is reloaded
+     *
      * @param  {object} message
      */
     _sendMessage (message) {
-        if (isEmpty(this.chat)) {
-            throw new Error('No open chat');
+        // while connecting, the message is queued until the chat exists
+        if (isEmpty(this.chat) && !this.lifecycle.is(chatStates.CONNECTING)) {
+            throw new ChatError('No open chat');
         }
 
         if (isUndefined(message.id)) {
@@ -890,26 +2035,94 @@ export default class HCAdapter extends EventEmitter {
             return;
         }
 
+        const chatId = isEmpty(this.chat) ? null : this.chat.id;
+        const context = { direction: 'outbound', source: 'user', chat: this.chat };
+
+        return this._runPipeline('outbound', assign({}, message), context)
+            .then((result) => {
+                if (!result) {
+                    return;
+                }
+                if (result.type === 'system') {
+                    return this._displayMessage(result);
+                }
+                return this.outbox.push({
+                    id: message.id,
+                    message: result.message,
+                    metadata: result.metadata,
+                    chatId,
+                });
+            }, (err) => {
+                // the message can't be sent without passing the middleware, which may mask personal data
+                this._setMessageError(message.id);
+                this._handleError(new SendMessageError('Outbound middleware failed', err, { messageId: message.id, chatId }));
+            });
+    }
+
+    /**
+     * Actually send a message from the outbox to the chat
+     *
+     * @param  {object}  item Outbox item { id, message, chatId }
+     * @return {Promise}
+     */
+    _deliverMessage (item) {
+        if (isEmpty(this.chat) || this.chat.id !== item.chatId) {
+            return Promise.reject(new SendMessageError('No open chat', null, { messageId: item.id, chatId: item.chatId }));
+        }
+
         const onMessageCreateCallback = (eventId, messageText, sender) => {
-            // set "pending to be sent" icon
-            this._setMessagePending(message.id);
             // set the event ID as the external ID
-            this._setMessageExternalId({ id: message.id }, eventId);
+            this._setMessageExternalId({ id: item.id }, eventId);
         };
 
-        this.chat.sendMessage(message.message, onMessageCreateCallback.bind(this))
+        return this.chat.sendMessage(item.message, onMessageCreateCallback.bind(this))
+            .catch((err) => {
+                throw new SendMessageError(undefined, err, { messageId: item.id, chatId: item.chatId });
+            })
             .then((data) => {
                 // set the generated message ID as final external ID
                 this._setMessageExternalId({ externalId: data.eventId }, data.message.id);
-                // show single check mark
-                this._setMessageCheck(message.id);
-            })
-            .catch((err) => {
-                // display error and suggest retry
-                this._setMessageError(message.id);
+                this.trigger('message:sent', [{
+                    messageId: item.id,
+                    chatMessageId: data.message.id,
+                    message: item.message,
+                    metadata: item.metadata || {},
+                }]);
             });
     }
 
+    /**
+     * Show the status of an outbox message with its tick icon
+     *
+     * @param  {object} item   Outbox item
+     * @param  {string} status "pending", "sent" or "error"
+     */
+    _onOutboxStatus (item, status, err) {
+        if (status === 'error' && !item.failed) {
+            // only report the first failure, the message will be retried
+            this._handleError(HCError.from(err, SendMessageError, { messageId: item.id, chatId: item.chatId }));
+        }
+
+        // the message failed in the current chat: its connection dropped, maybe without the browser noticing
+        const inCurrentChat = !isEmpty(this.chat) && item.chatId === this.chat.id;
+        if (status === 'error' && inCurrentChat) {
+            this._onConnectionLost('message');
+        } else if (status === 'sent' && inCurrentChat && this.connectionLost) {
+            this._onConnectionRestored('message');
+        }
+
+        if (status === 'pending') {
+            // set "pending to be sent" icon
+            this._setMessagePending(item.id);
+        } else if (status === 'sent') {
+            // show single check mark
+            this._setMessageCheck(item.id);
+        } else {
+            // display error, it will be retried
+            this._setMessageError(item.id);
+        }
+    }
+
     /**
      * Set the "pending to be sent" icon to the given message
      *
@@ -944,6 +2157,7 @@ export default class HCAdapter extends EventEmitter {
      */
     _setMessageDoubleCheck (chatMessageId) {
         this._updateMessageByExternalId(chatMessageId, 'DOUBLE_TICK');
+        this.trigger('message:status', [{ messageId: chatMessageId, status: 'read' }]);
     }
 
     /**
@@ -956,6 +2170,7 @@ export default class HCAdapter extends EventEmitter {
             id: botMessageId,
             action: action,
         });
+        this.trigger('message:status', [{ messageId: botMessageId, status: messageStatuses[action] }]);
     }
 
     /**
@@ -976,8 +2191,8 @@ export default class HCAdapter extends EventEmitter {
     }
 
     _updateChatbotNameFromMessageInfo (message) {
-        if (this.chat && this.chat.id && ICF.Lobby.chats[this.chat.id] && ICF.Lobby.chats[this.chat.id]) {
-            const senderUser = ICF.Lobby.chats[this.chat.id].users.find(user => {
+        if (this.chat && this.chat.id && this.icf.Lobby.chats[this.chat.id] && this.icf.Lobby.chats[this.chat.id]) {
+            const senderUser = this.icf.Lobby.chats[this.chat.id].users.find(user => {
                 return (user.id === message.user);
             });
 
@@ -991,7 +2206,7 @@ export default class HCAdapter extends EventEmitter {
     }
 
     _showSurvey (ticketId) {
-        const surveys = Conf.get('surveys');
+        const surveys = this.conf.get('surveys');
 
 
         const Purl = surveys.url ? Promise.resolve(surveys.url) : this._getHyperChatSurvey(surveys.id, ticketId);
@@ -1001,14 +2216,22 @@ export default class HCAdapter extends EventEmitter {
                     content: '<iframe name="inbenta-survey" src=' + url + '></iframe>'
                 };
                 this.storage.setItem('survey', { pending: true, survey });
+                this.surveyPending = true;
                 this.bot.actions.showCustomConversationWindow(survey);
+                this.trigger('survey:shown', [{ ticketId, url }]);
+            })
+            .catch((err) => {
+                this._handleError(new SurveyError(undefined, err, { ticketId }));
             });
     }
 
     _onWindowMessage (event) {
-        if (event.data.message == 'inbenta.survey.successful_answer') {
-            this.storage.setItem('survey', { pending: false });
-            const transcript = Conf.get('transcript');
+        // the message is received by all the adapter instances, only the one showing the survey handles it
+        if (event.data.message == 'inbenta.survey.successful_answer' && this.surveyPending) {
+            this.surveyPending = false;
+            this.storage.removeItem('survey');
+            this.trigger('survey:answered', [{}]);
+            const transcript = this.conf.get('transcript');
             const hasTranscript = transcript && transcript.download;
 
             this.bot.actions.hideCustomConversationWindow();
@@ -1019,7 +2242,7 @@ export default class HCAdapter extends EventEmitter {
     }
 
     _getHyperChatSurvey (id, ticketId) {
-        return ICF.Api.request('/surveys/' + id, 'GET', { sourceType: 'ticket', sourceId: ticketId })
+        return this.icf.Api.request('/surveys/' + id, 'GET', { sourceType: 'ticket', sourceId: ticketId })
             .then(res => res.data.survey.url);
     }
 
@@ -1030,7 +2253,7 @@ export default class HCAdapter extends EventEmitter {
      */
     _getBotConversation () {
         const conversation = this.bot.actions.getConversationTranscript({
-            maxInteractions: maxMessagesImport
+            maxInteractions: this.conf.get('maxMessagesImport')
         });
         if (isEmpty(conversation)) {
             return Promise.resolve(false);
@@ -1038,12 +2261,35 @@ export default class HCAdapter extends EventEmitter {
         return this.storage.getItem('lastClosedTime')
             .then((lastClosedTime) => {
                 return this._parseBotHistory(conversation, lastClosedTime);
-            });
+            })
+            .then((history) => {
+                // the imported history reaches the agents, so it goes through the outbound middleware
+                const context = { direction: 'outbound', source: 'history', chat: null };
+                return Promise.all(history.map((parsedMsg) => {
+                    return this.pipelines.outbound.run(parsedMsg, context)
+                        .catch((err) => {
+                            // a failing middleware must not stop the escalation, the message is imported as it was
+                            this._handleError(new SendMessageError('Outbound middleware failed', err, { source: 'history' }));
+                            return parsedMsg;
+                        })
+                        .then((result) => {
+                            if (!result) {
+                                return null;
+                            }
+                            // a system message replacement is imported as an assistant message
+                            if (result.type === 'system') {
+                                return { created: parsedMsg.created, type: 'text', message: result.message, sender: 'assistant' };
+                            }
+                            return omit(result, ['metadata']);
+                        });
+                }));
+            })
+            .then((history) => history.filter(parsedMsg => parsedMsg));
     }
 
     _getPreviousToken () {
         let p = Promise.resolve();
-        if (!ICF.Connection.getToken()) {
+        if (!this.icf.Connection.getToken()) {
             p = this.storage.getItem('previousToken')
                 .then(previousToken => {
                     return previousToken;
@@ -1054,6 +2300,11 @@ export default class HCAdapter extends EventEmitter {
 
     /**
      * Parse the bot history and convert messages to the chat format
+     *
+     * All the messages are converted to plain text. The "botHistoryFilter" configuration function, if defined,
+     * receives every parsed message and the original bot message and returns false to skip it, a new parsed
+     * message to replace it or nothing to keep it as is
+     *
      * @param  {array} messages
      * @return {array}
      */
@@ -1064,54 +2315,36 @@ export default class HCAdapter extends EventEmitter {
             });
         }
 
-        return messages.map((botMessage) => {
-            let parsedMsg = {};
-            // set default parsedMsg properties
-            parsedMsg.created = botMessage.datetime;
-            parsedMsg.type = 'text';
-            parsedMsg.message = botMessage.message;
-
-            // convert message depending on message type
-            switch (botMessage.type) {
-            case 'polarQuestion':
-            case 'multipleChoiceQuestion':
-                parsedMsg.type = 'object';
-                parsedMsg.message = JSON.stringify({
-                    message: botMessage.message,
-                    options: botMessage.options,
-                });
-                break;
-            case 'extendedContentsAnswer':
-                parsedMsg.type = 'object';
-                parsedMsg.message = JSON.stringify({
-                    message: botMessage.message,
-                    options: botMessage.subAnswers.map(subAnswer => {
-                        return { label: subAnswer.message };
-                    }),
-                });
-                break;
-            case 'download':
-                parsedMsg.message = botMessage.message.name || botMessage.message.url;
-                break;
-            case 'system':
-                parsedMsg.sender = 'assistant';
-                break;
-            default:
-                break;
-            }
+        const historyFilter = this.conf.get('botHistoryFilter');
 
-            if (isUndefined(parsedMsg.sender)) {
-                if (botMessage.custom && botMessage.custom.hyperchatSenderId) {
+        return messages
+            .map((botMessage) => {
+                let parsedMsg = {};
+                // set default parsedMsg properties
+                parsedMsg.created = botMessage.datetime;
+                parsedMsg.type = 'text';
+                parsedMsg.message = BotHistoryParser.getText(botMessage);
+
+                if (botMessage.type === 'system') {
+                    parsedMsg.sender = 'assistant';
+                } else if (botMessage.custom && botMessage.custom.hyperchatSenderId) {
                     parsedMsg.sender = botMessage.custom.hyperchatSenderId;
                 } else if (botMessage.user === 'guest') {
-                    parsedMsg.sender = ICF.Connection.me().id;
+                    parsedMsg.sender = this.icf.Connection.me().id;
                 } else {
                     parsedMsg.sender = botMessage.user;
                 }
-            }
 
-            return parsedMsg;
-        });
+                if (isFunction(historyFilter)) {
+                    const filtered = historyFilter(parsedMsg, botMessage);
+                    if (!isUndefined(filtered)) {
+                        return filtered || null;
+                    }
+                }
+
+                return parsedMsg;
+            })
+            .filter(parsedMsg => parsedMsg && parsedMsg.message !== '');
     }
 
     /**
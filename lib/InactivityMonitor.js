@@ -0,0 +1,160 @@
+'use strict';
+
+import { isNumber, isPlainObject } from 'lodash';
+
+/**
+ * Storage key where the timers of the current chat are kept
+ * @type {String}
+ */
+const storageKey = 'inactivity';
+/**
+ * Default minutes to close the chat after the warning
+ * @type {Number}
+ */
+const defaultCloseAfter = 2;
+/**
+ * Milliseconds between the saves of the user activity, to not write the storage on every key stroke
+ * @type {Number}
+ */
+const saveInterval = 10000;
+
+/**
+ * Class that warns and then times out a chat when the user stops interacting with it
+ *
+ * Options (the "inactivity" configuration):
+ *     {
+ *         warnAfter:  {number} Minutes without user activity to warn the user
+ *         closeAfter: {number} Minutes after the warning to time out (default 2)
+ *     }
+ *
+ * The last activity and the warning time are persisted in the storage, so the countdown
+ * goes on after a page reload within the same chat. The callbacks receive { chatId, closeAfter }
+ */
+export default class InactivityMonitor {
+    /**
+     * @param {object}   options
+     * @param {object}   storage   Storage with localforage-like getItem/setItem/removeItem methods
+     * @param {Function} onWarning Called once the user has been inactive for "warnAfter" minutes
+     * @param {Function} onTimeout Called "closeAfter" minutes after the warning
+     */
+    constructor (options = {}, storage, onWarning = () => {}, onTimeout = () => {}) {
+        this.options = options;
+        this.storage = storage;
+        this.onWarning = onWarning;
+        this.onTimeout = onTimeout;
+        this.timer = null;
+        this.data = null;
+        this.chatId = null;
+    }
+
+    /**
+     * Start monitoring the given chat, resuming the countdown stored for it before a reload
+     *
+     * @param  {string}  chatId
+     * @return {Promise}
+     */
+    start (chatId) {
+        this._clearTimer();
+        if (!isNumber(this.options.warnAfter)) {
+            return Promise.resolve();
+        }
+        this.chatId = chatId;
+
+        return this.storage.getItem(storageKey)
+            .then((data) => {
+                // ignore the stored data if the monitor was stopped or restarted meanwhile
+                if (this.chatId !== chatId) {
+                    return;
+                }
+                if (isPlainObject(data) && data.chatId === chatId && isNumber(data.lastActivity)) {
+                    this.data = data;
+                } else {
+                    this.data = { chatId, lastActivity: Date.now(), warnedAt: null };
+                    this._save();
+                }
+                this._schedule();
+            });
+    }
+
+    /**
+     * Stop monitoring and forget the stored countdown
+     *
+     * @return {Promise}
+     */
+    stop () {
+        this._clearTimer();
+        this.chatId = null;
+        if (!this.data) {
+            return Promise.resolve();
+        }
+        this.data = null;
+        return this.storage.removeItem(storageKey);
+    }
+
+    /**
+     * Check if a chat is being monitored
+     *
+     * @return {Boolean}
+     */
+    isRunning () {
+        return this.data !== null;
+    }
+
+    /**
+     * Register an activity of the user, restarting the countdown
+     */
+    activity () {
+        if (!this.isRunning()) {
+            return;
+        }
+
+        const now = Date.now();
+        const warned = this.data.warnedAt !== null;
+        if (!warned && now - this.data.lastActivity < saveInterval) {
+            return;
+        }
+        this.data.lastActivity = now;
+        this.data.warnedAt = null;
+        this._save();
+        this._schedule();
+    }
+
+    _schedule () {
+        this._clearTimer();
+
+        const warnAt = this.data.lastActivity + this.options.warnAfter * 60000;
+        if (this.data.warnedAt === null) {
+            this.timer = setTimeout(this._warn.bind(this), Math.max(warnAt - Date.now(), 0));
+        } else {
+            const closeAt = this.data.warnedAt + this._getCloseAfter() * 60000;
+            this.timer = setTimeout(this._timeout.bind(this), Math.max(closeAt - Date.now(), 0));
+        }
+    }
+
+    _warn () {
+        this.data.warnedAt = Date.now();
+        this._save();
+        this._schedule();
+        this.onWarning({ chatId: this.data.chatId, closeAfter: this._getCloseAfter() });
+    }
+
+    _timeout () {
+        this.timer = null;
+        this.onTimeout({ chatId: this.data.chatId, closeAfter: this._getCloseAfter() });
+    }
+
+    _getCloseAfter () {
+        return isNumber(this.options.closeAfter) ? this.options.closeAfter : defaultCloseAfter;
+    }
+
+    _save () {
+        return this.storage.setItem(storageKey, this.data);
+    }
+
+    _clearTimer () {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
@@ -0,0 +1,61 @@
+'use strict';
+
+import {
+    isArray,
+    isFunction,
+    isUndefined
+} from 'lodash';
+
+/**
+ * Class that runs messages through a chain of middleware functions
+ *
+ * Every middleware receives the message and a context object, i.e.:
+ *     { direction: 'inbound'|'outbound', source: 'user'|'agent'|'history', chat }
+ * and returns, or returns a promise of:
+ *     - the message, modified or not, to pass it to the next middleware. Returning nothing is the same
+ *       as returning the received message, so middleware can just modify it or add keys to "metadata"
+ *     - false or null to drop the message
+ *     - a message with type "system" to display it as a system message instead of the original one
+ *
+ * The chain stops as soon as a middleware drops the message or swaps it for a system message.
+ */
+export default class MessagePipeline {
+    constructor (middlewares = []) {
+        this.middlewares = isArray(middlewares) ? middlewares.filter(isFunction) : [];
+    }
+
+    /**
+     * Add a middleware at the end of the chain
+     *
+     * @param {Function} middleware
+     */
+    use (middleware) {
+        if (!isFunction(middleware)) {
+            throw new Error('Middleware must be a function');
+        }
+        this.middlewares.push(middleware);
+    }
+
+    /**
+     * Run a message through the whole chain
+     *
+     * @param  {object}  message
+     * @param  {object}  context
+     * @return {Promise}         Resolves with the resulting message, or null if it was dropped
+     */
+    run (message, context = {}) {
+        if (!message.metadata) {
+            message.metadata = {};
+        }
+
+        return this.middlewares.reduce((previous, middleware) => {
+            return previous.then((current) => {
+                if (!current || current.type === 'system') {
+                    return current;
+                }
+                return Promise.resolve(middleware(current, context))
+                    .then(result => isUndefined(result) ? current : (result || null));
+            });
+        }, Promise.resolve(message));
+    }
+}
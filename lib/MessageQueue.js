@@ -0,0 +1,193 @@
+'use strict';
+
+import { isArray } from 'lodash';
+
+/**
+ * Storage key where the pending messages are kept
+ * @type {String}
+ */
+const storageKey = 'outbox';
+/**
+ * Delay of the first retry in ms, doubled after every failed attempt
+ * @type {Number}
+ */
+const initialRetryDelay = 1000;
+/**
+ * Maximum delay between retries in ms, the failed messages are retried at this pace until they are sent
+ * @type {Number}
+ */
+const maxRetryDelay = 30000;
+
+/**
+ * Class that keeps the outbound chat messages in the storage until they are sent, retrying the failed ones
+ *
+ * Messages are sent one by one in the same order they were queued: when one fails, the ones after it wait
+ * until it's retried successfully. Nothing is dropped until the queue is cleared, i.e. when the chat is closed.
+ * Queued items look like { id, message, chatId }, where "id" is the bot message ID.
+ */
+export default class MessageQueue {
+    /**
+     * @param {object}   storage  Storage with localforage-like getItem/setItem methods
+     * @param {Function} send     Receives a queued item and returns a promise resolved when it's sent
+     * @param {Function} onStatus Receives a queued item, its new status ("pending", "sent" or "error") and the error
+     */
+    constructor (storage, send, onStatus = () => {}) {
+        this.storage = storage;
+        this.send = send;
+        this.onStatus = onStatus;
+        this.items = [];
+        this.flushing = false;
+        this.paused = false;
+        this.retryTimer = null;
+        this.retryDelay = initialRetryDelay;
+    }
+
+    /**
+     * Load the messages that were pending before a page reload
+     *
+     * @param  {string}  chatId Only the messages of this chat, or queued before any chat existed, are kept
+     * @return {Promise}        Resolves with the discarded messages of other chats
+     */
+    load (chatId) {
+        return this.storage.getItem(storageKey)
+            .then((items) => {
+                items = isArray(items) ? items : [];
+                const isKept = item => chatId && (item.chatId === chatId || !item.chatId);
+                const discarded = items.filter(item => !isKept(item));
+                this.items = items.filter(isKept);
+                this.items.forEach((item) => {
+                    item.chatId = chatId;
+                });
+                return this._save().then(() => discarded);
+            });
+    }
+
+    /**
+     * Add a message to the queue and try to send it
+     *
+     * @param  {object}  item
+     * @return {Promise}
+     */
+    push (item) {
+        this.items.push(item);
+        this.onStatus(item, 'pending');
+        return this._save().then(this.flush.bind(this));
+    }
+
+    /**
+     * Check if there are messages waiting to be sent
+     *
+     * @return {Boolean}
+     */
+    hasPending () {
+        return this.items.length > 0;
+    }
+
+    /**
+     * Retry right away, i.e. when the connection is back
+     *
+     * @return {Promise}
+     */
+    retry () {
+        this._clearRetryTimer();
+        this.retryDelay = initialRetryDelay;
+        return this.flush();
+    }
+
+    /**
+     * Stop sending messages, new ones are kept in the queue until "resume" is called
+     */
+    pause () {
+        this.paused = true;
+        this._clearRetryTimer();
+    }
+
+    /**
+     * Start sending the queued messages again
+     *
+     * @param  {string}  chatId Chat of the messages queued before it existed, if any
+     * @return {Promise}
+     */
+    resume (chatId = null) {
+        this.paused = false;
+        this._clearRetryTimer();
+        this.retryDelay = initialRetryDelay;
+        if (chatId) {
+            this.items.forEach((item) => {
+                if (!item.chatId) {
+                    item.chatId = chatId;
+                }
+            });
+        }
+        return this._save().then(this.flush.bind(this));
+    }
+
+    /**
+     * Send all the queued messages in order, stopping at the first failure
+     *
+     * @return {Promise}
+     */
+    flush () {
+        if (this.paused || this.flushing || this.retryTimer || !this.items.length) {
+            return Promise.resolve();
+        }
+        this.flushing = true;
+
+        const item = this.items[0];
+        if (item.failed) {
+            this.onStatus(item, 'pending');
+        }
+
+        return Promise.resolve()
+            .then(() => this.send(item))
+            .then(() => {
+                this.flushing = false;
+                this.retryDelay = initialRetryDelay;
+                this.onStatus(item, 'sent');
+                // the queue may have been cleared while sending
+                if (this.items[0] === item) {
+                    this.items.shift();
+                }
+                return this._save().then(this.flush.bind(this));
+            }, (err) => {
+                this.flushing = false;
+                this.onStatus(item, 'error', err);
+                item.failed = true;
+                if (this.items[0] === item) {
+                    this._scheduleRetry();
+                }
+                return this._save();
+            });
+    }
+
+    /**
+     * Remove all the queued messages
+     *
+     * @return {Promise} Resolves with the removed messages
+     */
+    clear () {
+        const removed = this.items;
+        this._clearRetryTimer();
+        this.items = [];
+        return this._save().then(() => removed);
+    }
+
+    _scheduleRetry () {
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, maxRetryDelay);
+    }
+
+    _clearRetryTimer () {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    _save () {
+        return this.storage.setItem(storageKey, this.items);
+    }
+}
@@ -0,0 +1,169 @@
+'use strict';
+
+import {
+    isEmpty,
+    isFunction,
+    isNumber
+} from 'lodash';
+
+import Helpers from './Helpers';
+
+/**
+ * Default seconds between queue updates
+ * @type {Number}
+ */
+const defaultInterval = 30;
+/**
+ * Default average seconds a user waits for an agent when there's one available
+ * @type {Number}
+ */
+const defaultAverageWaitTime = 60;
+
+/**
+ * Class that periodically tracks the position of a chat in the queue while it waits for an agent
+ *
+ * Options (the "queueUpdates" configuration):
+ *     {
+ *         interval:        {number}   Seconds between updates (default 30)
+ *         averageWaitTime: {number}   Average seconds to get an agent when there's one available (default 60)
+ *         getPosition:     {Function} Optional, receives the chat and returns the position (or a promise of it)
+ *     }
+ *
+ * When the position is not known, an estimated wait is derived from the available agents in the room.
+ * The callback receives an object like:
+ *     {
+ *         chatId:          {string}
+ *         room:            {mixed}
+ *         position:        {number|null}
+ *         agentsAvailable: {number}
+ *         estimatedWait:   {number|null} Seconds
+ *         waitingTime:     {number}      Seconds since the agent search started
+ *     }
+ */
+export default class QueueMonitor {
+    constructor (options = {}, onUpdate = () => {}, getICF = () => window.ICF) {
+        this.options = options;
+        this.onUpdate = onUpdate;
+        this.getICF = getICF;
+        this.timer = null;
+    }
+
+    /**
+     * Start monitoring the queue of the given chat
+     *
+     * @param  {object:ICF.Chat} chat
+     * @param  {mixed}           room
+     * @param  {string}          lang
+     */
+    start (chat, room, lang) {
+        this.stop();
+
+        this.chat = chat;
+        this.room = room;
+        this.lang = lang;
+        this.startTime = Helpers.getUnixTime();
+
+        const interval = isNumber(this.options.interval) ? this.options.interval : defaultInterval;
+        this.timer = setInterval(this.update.bind(this), interval * 1000);
+
+        return this.update();
+    }
+
+    /**
+     * Stop monitoring the queue
+     */
+    stop () {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Check if the queue is being monitored
+     *
+     * @return {Boolean}
+     */
+    isRunning () {
+        return this.timer !== null;
+    }
+
+    /**
+     * Get the current queue status and notify it
+     *
+     * @return {Promise}
+     */
+    update () {
+        const chat = this.chat;
+
+        return Promise.all([this._getPosition(), this._getAvailableAgents()])
+            .then(([position, agentsAvailable]) => {
+                // ignore the result if the monitor was stopped or restarted meanwhile
+                if (!this.isRunning() || chat !== this.chat) {
+                    return;
+                }
+
+                const waitingTime = Helpers.getUnixTime() - this.startTime;
+                this.onUpdate({
+                    chatId: chat.id,
+                    room: this.room,
+                    position,
+                    agentsAvailable,
+                    estimatedWait: this._estimateWait(agentsAvailable, waitingTime),
+                    waitingTime,
+                });
+            })
+            .catch(() => {
+                // don't do anything, try again in the next update
+            });
+    }
+
+    /**
+     * Get the position of the chat in the queue using the configured function, if any
+     *
+     * @return {Promise}
+     */
+    _getPosition () {
+        const getPosition = this.options.getPosition;
+        if (!isFunction(getPosition)) {
+            return Promise.resolve(null);
+        }
+        return Promise.resolve(getPosition(this.chat))
+            .then(position => isNumber(position) ? position : null);
+    }
+
+    /**
+     * Get the number of available agents in the chat room
+     *
+     * @return {Promise}
+     */
+    _getAvailableAgents () {
+        const params = { roomIds: this.room };
+        if (this.lang) {
+            params.langs = this.lang;
+        }
+
+        return this.getICF().Api.request('/agents/available', 'GET', params)
+            .then((res) => {
+                if (!isEmpty(res.data) && !isEmpty(res.data.agents)) {
+                    return res.data.agents[this.room] || 0;
+                }
+                return 0;
+            });
+    }
+
+    /**
+     * Estimate the remaining seconds to get an agent, spreading the average wait among the available agents
+     *
+     * @param  {number} agentsAvailable
+     * @param  {number} waitingTime
+     * @return {number|null}            null if it can't be estimated because there are no available agents
+     */
+    _estimateWait (agentsAvailable, waitingTime) {
+        if (!agentsAvailable) {
+            return null;
+        }
+        const averageWaitTime = isNumber(this.options.averageWaitTime) ? this.options.averageWaitTime : defaultAverageWaitTime;
+        return Math.ceil(Math.max(averageWaitTime - waitingTime, 0) / agentsAvailable);
+    }
+}
@@ -0,0 +1,172 @@
+'use strict';
+
+import {
+    isArray,
+    isPlainObject,
+    isRegExp,
+    isString,
+    mapValues,
+    uniq
+} from 'lodash';
+
+/**
+ * Default text that replaces the redacted values
+ * @type {String}
+ */
+const defaultMask = '*****';
+
+/**
+ * Check a card number with the Luhn algorithm
+ *
+ * @param  {string}  digits
+ * @return {Boolean}
+ */
+const isLuhnValid = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+/**
+ * Check an IBAN with its mod 97 checksum
+ *
+ * @param  {string}  iban Without spaces
+ * @return {Boolean}
+ */
+const isIbanValid = (iban) => {
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (let i = 0; i < numeric.length; i++) {
+        remainder = (remainder * 10 + parseInt(numeric.charAt(i), 10)) % 97;
+    }
+    return remainder === 1;
+};
+
+/**
+ * Built-in rules, applied in this order
+ * @type {Object}
+ */
+const builtInRules = {
+    email: {
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    },
+    iban: {
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+        check: match => isIbanValid(match.replace(/ /g, '')),
+    },
+    card: {
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        check: match => isLuhnValid(match.replace(/[ -]/g, '')),
+    },
+    // international numbers with "+", or grouped like "(555) 123-4567", so that plain order numbers,
+    // references, dates and times are left alone
+    phone: {
+        pattern: /\+\d[\d ().-]{7,18}\d\b|\(?\b\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b/g,
+        check: (match) => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 9 && digits <= 15;
+        },
+    },
+};
+
+/**
+ * Class that masks personal data (card numbers, IBANs, emails, phones or custom patterns) in texts
+ *
+ * Options (the "redaction" configuration):
+ *     {
+ *         rules:  {Array}   Built-in rules to apply: "email", "iban", "card", "phone" (all by default)
+ *         custom: {Array}   Extra rules like { name: 'passport', pattern: /[A-Z]{3}\d{6}/g, replacement: '[passport]' }
+ *         mask:   {string}  Text that replaces the values without a specific replacement (default "*****")
+ *         notify: {boolean} Tell the user with a system message when something is masked (default true)
+ *     }
+ */
+export default class Redactor {
+    constructor (options = {}) {
+        this.options = options;
+        const mask = isString(options.mask) ? options.mask : defaultMask;
+        const ruleNames = isArray(options.rules) ? options.rules : Object.keys(builtInRules);
+
+        this.rules = Object.keys(builtInRules)
+            .filter(name => ruleNames.indexOf(name) !== -1)
+            .map(name => ({
+                name,
+                pattern: builtInRules[name].pattern,
+                check: builtInRules[name].check,
+                replacement: mask,
+            }));
+
+        (isArray(options.custom) ? options.custom : []).forEach((rule) => {
+            if (!isPlainObject(rule) || !isRegExp(rule.pattern)) {
+                throw new Error('Custom redaction rules need a regular expression "pattern"');
+            }
+            // a global flag is needed to replace all the occurrences
+            const flags = rule.pattern.flags.indexOf('g') === -1 ? rule.pattern.flags + 'g' : rule.pattern.flags;
+            this.rules.push({
+                name: rule.name || 'custom',
+                pattern: new RegExp(rule.pattern.source, flags),
+                replacement: isString(rule.replacement) ? rule.replacement : mask,
+            });
+        });
+    }
+
+    /**
+     * Mask all the personal data found in a text
+     *
+     * @param  {string} text
+     * @return {object}      { text, rules } where "rules" are the names of the rules that matched
+     */
+    redact (text) {
+        const matchedRules = [];
+        if (!isString(text)) {
+            return { text, rules: matchedRules };
+        }
+
+        const redacted = this.rules.reduce((current, rule) => {
+            return current.replace(rule.pattern, (match) => {
+                if (rule.check && !rule.check(match)) {
+                    return match;
+                }
+                matchedRules.push(rule.name);
+                return rule.replacement;
+            });
+        }, text);
+
+        return { text: redacted, rules: uniq(matchedRules) };
+    }
+
+    /**
+     * Mask the personal data found in all the string values of an object, i.e. the chat extraInfo
+     *
+     * @param  {object} data
+     * @return {object}      { data, rules }
+     */
+    redactObject (data) {
+        const matchedRules = [];
+        const redactValue = (value) => {
+            if (isString(value)) {
+                const result = this.redact(value);
+                matchedRules.push.apply(matchedRules, result.rules);
+                return result.text;
+            }
+            if (isArray(value)) {
+                return value.map(redactValue);
+            }
+            if (isPlainObject(value)) {
+                return mapValues(value, redactValue);
+            }
+            return value;
+        };
+
+        return { data: redactValue(data), rules: uniq(matchedRules) };
+    }
+}
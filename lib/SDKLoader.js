@@ -1,87 +1,282 @@
 'use strict';
 
 import { EventEmitter } from 'events';
-import { isUndefined } from 'lodash';
+import { endsWith, isFunction, isString, isUndefined } from 'lodash';
 
 import Conf from './Conf';
+import SDKLoadError from './Error/SDKLoadError';
 
 const defaultPort = 8000;
 
+/**
+ * Initialization of the global ICF SDK, shared by the loaders of all the adapter instances:
+ *     { key, appId, promise }
+ * The SDK can only be initialized once per page, so it's only shared by instances with the same app settings
+ * @type {Object}
+ */
+let sharedInit = null;
+
 /**
  * Class that contains methods to load and initialize the HyperChat JS SDK
  */
-class SDKLoader extends EventEmitter {
-    constructor () {
+export class SDKLoader extends EventEmitter {
+    /**
+     * @param {Conf} conf Configuration of the adapter instance
+     */
+    constructor (conf) {
         super();
+        this.conf = conf;
+        // initialization of the "icf" of the configuration
+        this.suppliedInit = null;
+        this.cookieDomainChecked = false;
+    }
+
+    /**
+     * Get the ICF object the adapter works with: the "icf" of the configuration or the global one of the SDK
+     *
+     * @return {Object}
+     */
+    getICF () {
+        return this.conf.get('icf') || window.ICF;
     }
 
     /**
      * Start loading the SDK and initialize it
      *
+     * Rejects with a SDKLoadError when all the attempts fail, see "sdkLoadTimeout" and "sdkLoadRetries".
+     * When the configuration has an "icf" object, it's initialized if needed and no script is loaded.
+     * Fails if the SDK has already been initialized by another adapter instance for a different app
+     *
      * @return {Promise}
      */
     load () {
-        // don't load if it's already loaded
+        const initData = this._getInitData();
+        this._checkCookieDomain(initData.setCookieOnDomain);
+
+        // an ICF implementation supplied by the configuration doesn't need the script
+        if (this.conf.get('icf')) {
+            return this._initSuppliedICF(this.conf.get('icf'), initData);
+        }
+        const key = JSON.stringify([this.getSDKUrl(), initData]);
+
+        if (sharedInit) {
+            if (sharedInit.key !== key) {
+                return Promise.reject(new SDKLoadError('The HyperChat SDK is already initialized with the settings of the app "' + sharedInit.appId + '", ' +
+                    'instances of other apps need their own SDK in the "icf" configuration', null, {
+                    sdkVersion: this.conf.get('sdkVersion'),
+                    appId: initData.appId,
+                }));
+            }
+            return sharedInit.promise;
+        }
+
+        // don't load if it has been loaded and initialized outside the adapter
         if (!isUndefined(window.ICF) && ICF.isInit) {
             return Promise.resolve();
         }
 
-        return new Promise((resolve, reject) => {
+        const promise = new Promise((resolve, reject) => {
             this.once('icf-ready', resolve);
-            this.once('icf-failed', reject);
-            this._loadAndInitSDK();
+            this.once('icf-failed', (err) => {
+                // let the next call try again
+                sharedInit = null;
+                reject(new SDKLoadError(undefined, err, { sdkVersion: this.conf.get('sdkVersion'), sdkUrl: this.getSDKUrl() }));
+            });
+            this._loadAndInitSDK(initData);
         });
+        sharedInit = { key, appId: initData.appId, promise };
+
+        return promise;
+    }
+
+    /**
+     * Load the HyperChat SDK and initialize it, trying again with an increasing delay if it fails
+     *
+     * @param {Object} initData
+     * @param {number} attempt  Number of the current retry
+     */
+    _loadAndInitSDK (initData, attempt = 0) {
+        const retries = this.conf.get('sdkLoadRetries');
+        const retryDelay = this.conf.get('sdkLoadRetryDelay');
+
+        this._loadScript()
+            .then(() => this._initICF(initData))
+            .then(() => {
+                this.emit('icf-ready');
+            })
+            .catch((err) => {
+                if (attempt < retries) {
+                    setTimeout(() => {
+                        this._loadAndInitSDK(initData, attempt + 1);
+                    }, retryDelay * Math.pow(2, attempt));
+                } else {
+                    this.emit('icf-failed', err);
+                }
+            });
     }
 
     /**
      * Load the HyperChat SDK by inserting a script tag in the window
+     *
+     * The tag gets the "sdkIntegrity" hash and the "sdkNonce" of the configuration, and it's removed if the
+     * script fails to load or doesn't load within "sdkLoadTimeout" milliseconds, so it can be inserted again
+     *
+     * @return {Promise}
      */
-    _loadAndInitSDK () {
-        const v = Conf.get('sdkVersion');
+    _loadScript () {
+        // already loaded by a previous attempt or by the page
+        if (!isUndefined(window.ICF)) {
+            return Promise.resolve();
+        }
+
         const d = document;
         const s = 'script';
         const id = 'inbenta-jssdk';
+        const url = this.getSDKUrl();
+        const integrity = this.conf.get('sdkIntegrity');
+        const nonce = this.conf.get('sdkNonce');
+        const timeout = this.conf.get('sdkLoadTimeout');
+
+        // a previous tag that didn't load the SDK
+        const previous = d.getElementById(id);
+        if (previous) {
+            previous.parentNode.removeChild(previous);
+        }
 
-        let js, ijs = d.getElementsByTagName(s)[0];
+        return new Promise((resolve, reject) => {
+            const js = d.createElement(s);
+            const ijs = d.getElementsByTagName(s)[0];
+            let timer = null;
+
+            const fail = (message) => {
+                clearTimeout(timer);
+                js.onload = js.onerror = null;
+                if (js.parentNode) {
+                    js.parentNode.removeChild(js);
+                }
+                reject(new Error(message));
+            };
 
-        if (!d.getElementById(id)) {
-            js = d.createElement(s);
             js.id = id;
-            js.src = 'https://sdk.inbenta.chat/'+v+'/icf.sdk.js';
-            js.onload = this._initICF.bind(this);
-            ijs.parentNode.insertBefore(js, ijs);
-        } else {
-            this._initICF();
+            js.src = url;
+            if (integrity) {
+                // SRI checks need a CORS request
+                js.integrity = integrity;
+                js.crossOrigin = 'anonymous';
+            }
+            if (nonce) {
+                js.nonce = nonce;
+                js.setAttribute('nonce', nonce);
+            }
+            js.onload = () => {
+                clearTimeout(timer);
+                if (isUndefined(window.ICF)) {
+                    fail('The script at ' + url + ' did not define the HyperChat SDK');
+                } else {
+                    resolve();
+                }
+            };
+            js.onerror = () => {
+                fail('The HyperChat SDK script could not be loaded from ' + url);
+            };
+            timer = setTimeout(() => {
+                fail('The HyperChat SDK script did not load in ' + timeout + 'ms from ' + url);
+            }, timeout);
+
+            if (ijs) {
+                ijs.parentNode.insertBefore(js, ijs);
+            } else {
+                (d.head || d.documentElement).appendChild(js);
+            }
+        });
+    }
+
+    /**
+     * Get the URL the SDK is loaded from: the "sdkUrl" configuration or the Inbenta CDN one for "sdkVersion"
+     *
+     * @return {string}
+     */
+    getSDKUrl () {
+        return this.conf.get('sdkUrl') || 'https://sdk.inbenta.chat/' + this.conf.get('sdkVersion') + '/icf.sdk.js';
+    }
+
+    /**
+     * Warn when the HyperChat cookie can't be set on the configured domain, as the browser will reject it.
+     * The chat is still restored from the adapter storage, but only on this host
+     *
+     * @param {mixed} domain "setCookieOnDomain" configuration
+     */
+    _checkCookieDomain (domain) {
+        if (this.cookieDomainChecked || !isString(domain) || typeof window === 'undefined' || !window.location) {
+            return;
+        }
+        this.cookieDomainChecked = true;
+
+        const host = String(window.location.hostname).toLowerCase();
+        const cookieDomain = domain.toLowerCase().replace(/^\./, '');
+        if (host !== cookieDomain && !endsWith(host, '.' + cookieDomain)) {
+            console.warn('The "setCookieOnDomain" domain "' + domain + '" does not match the current host "' + host + '", ' +
+                'the HyperChat cookie will not be set');
         }
     }
 
     /**
-     * Initialize ICF and emit that it is ready
+     * Get the data to initialize ICF with, from the configuration
+     *
+     * @return {Object}
      */
-    _initICF () {
+    _getInitData () {
         const initData = {
-            appId: Conf.get('appId'),
-            setCookieOnDomain: Conf.get('setCookieOnDomain'),
-            port: Conf.get('port') || defaultPort
+            appId: this.conf.get('appId'),
+            setCookieOnDomain: this.conf.get('setCookieOnDomain'),
+            port: this.conf.get('port') || defaultPort
         };
 
-        if (Conf.get('region')) {
-            initData.region = Conf.get('region');
-        } else if (Conf.get('server')) {
-            initData.server = Conf.get('server');
+        if (this.conf.get('region')) {
+            initData.region = this.conf.get('region');
+        } else if (this.conf.get('server')) {
+            initData.server = this.conf.get('server');
+        }
+
+        return initData;
+    }
+
+    /**
+     * Initialize the ICF implementation of the configuration, unless it's already initialized
+     *
+     * @param  {Object}  icf
+     * @param  {Object}  initData
+     * @return {Promise}
+     */
+    _initSuppliedICF (icf, initData) {
+        if (icf.isInit || !isFunction(icf.init)) {
+            return Promise.resolve();
+        }
+        if (!this.suppliedInit) {
+            this.suppliedInit = Promise.resolve(icf.init(initData))
+                .catch((err) => {
+                    this.suppliedInit = null;
+                    throw new SDKLoadError(undefined, err, { sdkVersion: this.conf.get('sdkVersion') });
+                });
         }
+        return this.suppliedInit;
+    }
 
-        ICF.init(initData)
+    /**
+     * Initialize ICF
+     *
+     * @param  {Object}  initData
+     * @return {Promise}
+     */
+    _initICF (initData) {
+        return ICF.init(initData)
             .then(() => {
-                if (ICF.isInit) {
-                    window.ICF = ICF;
-                    this.emit('icf-ready');
+                if (!ICF.isInit) {
+                    throw new Error('The HyperChat SDK could not be initialized');
                 }
-            })
-            .catch(() => {
-                this.emit('icf-failed');
+                window.ICF = ICF;
             });
     }
 }
 
-export default new SDKLoader();
+export default new SDKLoader(Conf);
@@ -0,0 +1,200 @@
+'use strict';
+
+import {
+    has,
+    isFunction,
+    isNumber,
+    isPlainObject,
+    isString
+} from 'lodash';
+
+import localForage from './localforage';
+
+/**
+ * Seconds the stored values are kept by default, values without TTL never expire.
+ * They can be changed with the "storageTtl" configuration
+ * @type {Object}
+ */
+export const defaultTtls = {
+    // token to download the transcript of the last chat after a reload
+    previousToken: 24 * 60 * 60,
+    // survey of the last chat, shown again after a reload until it's answered
+    survey: 60 * 60,
+    // user session, to restore the chat when the HyperChat cookie is not available
+    session: 24 * 60 * 60,
+};
+
+/**
+ * Backend that keeps the values in memory, lost when the page is reloaded
+ */
+class MemoryBackend {
+    constructor () {
+        this.data = {};
+    }
+
+    getItem (key) {
+        return Promise.resolve(has(this.data, key) ? this.data[key] : null);
+    }
+
+    setItem (key, value) {
+        this.data[key] = value;
+        return Promise.resolve(value);
+    }
+
+    removeItem (key) {
+        delete this.data[key];
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Backend that keeps the values in a Web Storage area, serialized to JSON
+ */
+class WebStorageBackend {
+    constructor (area) {
+        this.area = area;
+    }
+
+    getItem (key) {
+        return Promise.resolve()
+            .then(() => {
+                const value = this.area.getItem(key);
+                return value === null ? null : JSON.parse(value);
+            });
+    }
+
+    setItem (key, value) {
+        return Promise.resolve()
+            .then(() => {
+                this.area.setItem(key, JSON.stringify(value));
+                return value;
+            });
+    }
+
+    removeItem (key) {
+        return Promise.resolve()
+            .then(() => this.area.removeItem(key));
+    }
+}
+
+/**
+ * Get the sessionStorage of the browser, accessing it throws if the user blocks the site data
+ *
+ * @return {Storage|null}
+ */
+const getSessionStorage = () => {
+    try {
+        return (typeof window !== 'undefined' && window.sessionStorage) || null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Class that stores the adapter data of an instance, with keys namespaced by its "instanceId" or appId
+ * and values that expire after a TTL
+ *
+ * The "storage" configuration sets the backend:
+ *     - "localforage" (default): IndexedDB, WebSQL or localStorage, kept between sessions
+ *     - "sessionStorage":        kept until the browser tab is closed
+ *     - "memory":                lost when the page is reloaded
+ *     - an object with localforage-like getItem, setItem and removeItem methods, returning promises
+ */
+export default class Storage {
+    /**
+     * @param {Conf}   conf
+     * @param {string} backend Backend to use instead of the "storage" configuration
+     */
+    constructor (conf, backend = null) {
+        this.conf = conf;
+        this.backendName = backend;
+        this.backend = null;
+    }
+
+    /**
+     * Get a stored value
+     *
+     * @param  {string}  key
+     * @return {Promise}     Resolves with the value, or null if it's missing or expired
+     */
+    getItem (key) {
+        const storageKey = this._getKey(key);
+
+        return this._getBackend().getItem(storageKey)
+            .then((entry) => {
+                if (!isPlainObject(entry) || !has(entry, 'value') || !has(entry, 'expires')) {
+                    return entry === undefined ? null : entry;
+                }
+                if (entry.expires !== null && entry.expires <= Date.now()) {
+                    return this._getBackend().removeItem(storageKey)
+                        .then(() => null);
+                }
+                return entry.value;
+            });
+    }
+
+    /**
+     * Store a value
+     *
+     * @param  {string}  key
+     * @param  {mixed}   value
+     * @param  {number}  ttl   Seconds to keep the value, the configured TTL of the key by default
+     * @return {Promise}       Resolves with the value
+     */
+    setItem (key, value, ttl = this._getTtl(key)) {
+        const entry = {
+            value,
+            expires: isNumber(ttl) ? Date.now() + ttl * 1000 : null,
+        };
+
+        return this._getBackend().setItem(this._getKey(key), entry)
+            .then(() => value);
+    }
+
+    /**
+     * Remove a stored value
+     *
+     * @param  {string}  key
+     * @return {Promise}
+     */
+    removeItem (key) {
+        return this._getBackend().removeItem(this._getKey(key));
+    }
+
+    _getKey (key) {
+        return (this.conf.get('instanceId') || this.conf.get('appId')) + ':' + key;
+    }
+
+    _getTtl (key) {
+        const ttls = this.conf.get('storageTtl') || {};
+        return has(ttls, key) ? ttls[key] : defaultTtls[key];
+    }
+
+    _getBackend () {
+        if (!this.backend) {
+            const backend = this.backendName || this.conf.get('storage') || 'localforage';
+            if (!isString(backend)) {
+                this.backend = backend;
+            } else if (backend === 'memory') {
+                this.backend = new MemoryBackend();
+            } else if (backend === 'sessionStorage') {
+                const area = getSessionStorage();
+                // keep the values in memory if the browser blocks the storage
+                this.backend = area ? new WebStorageBackend(area) : new MemoryBackend();
+            } else {
+                this.backend = localForage;
+            }
+        }
+        return this.backend;
+    }
+}
+
+/**
+ * Check if an object can be used as storage backend
+ *
+ * @param  {object}  backend
+ * @return {Boolean}
+ */
+export const isStorageBackend = (backend) => {
+    return ['getItem', 'setItem', 'removeItem'].every(method => isFunction(backend[method]));
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+import {
+    isPlainObject,
+    isString,
+    isArray,
+    isEmpty,
+    has
+} from 'lodash';
+
+/**
+ * Names of the week days, in the order returned by Date.prototype.getDay
+ * @type {Array}
+ */
+const weekDays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Class that evaluates a declarative working hours schedule
+ *
+ * Schedule format (all dates and times are expressed in the schedule timezone):
+ *
+ *     {
+ *         timezone: 'Europe/Madrid',                          // IANA timezone, browser's one if omitted
+ *         hours: { monday: ['09:00-14:00', '15:00-18:00'] },  // default weekly opening hours
+ *         rooms: { '2': { saturday: ['10:00-14:00'] } },      // weekly opening hours per room
+ *         holidays: ['2026-12-25'],                           // closed the whole day
+ *         exceptions: { '2026-12-24': ['09:00-13:00'] },      // replace the weekly hours of a date
+ *         specialOpenings: [{ from: '2026-12-27 10:00', to: '2026-12-27 14:00' }]
+ *     }
+ *
+ * A day not present in the weekly hours is closed. If no weekly hours are defined at all it's always open,
+ * so holidays and exceptions can be used on their own.
+ *
+ * Ranges must end after they start, so openings past midnight are split between the two days:
+ * friday: ['22:00-24:00'] and saturday: ['00:00-02:00']
+ */
+class WorkingTime {
+    constructor (schedule = {}) {
+        this.schedule = schedule;
+    }
+
+    /**
+     * Check if the given schedule object has a valid format
+     *
+     * @param  {Object} schedule
+     * @return {Boolean}
+     */
+    static validate (schedule) {
+        if (!isPlainObject(schedule)) {
+            return false;
+        }
+        if (has(schedule, 'timezone')) {
+            if (!isString(schedule.timezone)) {
+                return false;
+            }
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+            } catch (err) {
+                return false;
+            }
+        }
+        if (has(schedule, 'hours') && !WorkingTime._isValidWeek(schedule.hours)) {
+            return false;
+        }
+        if (has(schedule, 'rooms')) {
+            if (!isPlainObject(schedule.rooms)) {
+                return false;
+            }
+            const invalidRoom = Object.keys(schedule.rooms).some(roomId => !WorkingTime._isValidWeek(schedule.rooms[roomId]));
+            if (invalidRoom) {
+                return false;
+            }
+        }
+        if (has(schedule, 'holidays') && (!isArray(schedule.holidays) || !schedule.holidays.every(WorkingTime._isDate))) {
+            return false;
+        }
+        if (has(schedule, 'exceptions')) {
+            if (!isPlainObject(schedule.exceptions)) {
+                return false;
+            }
+            const invalidException = Object.keys(schedule.exceptions).some(date => {
+                return !WorkingTime._isDate(date) || !WorkingTime._isValidRanges(schedule.exceptions[date]);
+            });
+            if (invalidException) {
+                return false;
+            }
+        }
+        if (has(schedule, 'specialOpenings')) {
+            if (!isArray(schedule.specialOpenings)) {
+                return false;
+            }
+            const invalidOpening = schedule.specialOpenings.some(opening => {
+                return !isPlainObject(opening) || !WorkingTime._isDateTime(opening.from) || !WorkingTime._isDateTime(opening.to) ||
+                    opening.from >= opening.to;
+            });
+            if (invalidOpening) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check if it's working time at the given moment for the given room
+     *
+     * @param  {Date}    date
+     * @param  {mixed}   roomId
+     * @return {Boolean}
+     */
+    isOpen (date = new Date(), roomId = null) {
+        const now = this._getLocalTime(date);
+        const dateTime = now.date + ' ' + now.time;
+
+        const specialOpenings = this.schedule.specialOpenings || [];
+        const isSpecialOpening = specialOpenings.some(opening => {
+            return dateTime >= opening.from && dateTime < opening.to;
+        });
+        if (isSpecialOpening) {
+            return true;
+        }
+
+        const holidays = this.schedule.holidays || [];
+        if (holidays.indexOf(now.date) !== -1) {
+            return false;
+        }
+
+        const exceptions = this.schedule.exceptions || {};
+        if (has(exceptions, now.date)) {
+            return this._isInRanges(exceptions[now.date], now.time);
+        }
+
+        const week = this._getWeek(roomId);
+        if (isEmpty(week)) {
+            return true;
+        }
+        return this._isInRanges(week[now.weekday] || [], now.time);
+    }
+
+    /**
+     * Get the weekly hours that apply to the given room
+     *
+     * @param  {mixed}  roomId
+     * @return {Object}
+     */
+    _getWeek (roomId) {
+        const rooms = this.schedule.rooms || {};
+        if (roomId !== null && has(rooms, String(roomId))) {
+            return rooms[String(roomId)];
+        }
+        return this.schedule.hours || {};
+    }
+
+    /**
+     * Check if the time is inside any of the "HH:mm-HH:mm" ranges
+     *
+     * @param  {Array}   ranges
+     * @param  {string}  time
+     * @return {Boolean}
+     */
+    _isInRanges (ranges, time) {
+        return ranges.some(range => {
+            const [from, to] = range.split('-');
+            return time >= from && time < to;
+        });
+    }
+
+    /**
+     * Get the date, time and week day of a moment in the schedule timezone
+     *
+     * @param  {Date}   date
+     * @return {Object} { date: 'YYYY-MM-DD', time: 'HH:mm', weekday: 'monday' }
+     */
+    _getLocalTime (date) {
+        const pad = (value) => ('0' + value).slice(-2);
+
+        if (!this.schedule.timezone) {
+            return {
+                date: date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()),
+                time: pad(date.getHours()) + ':' + pad(date.getMinutes()),
+                weekday: weekDays[date.getDay()],
+            };
+        }
+
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.schedule.timezone,
+            hour12: false,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'long',
+        });
+        const parts = {};
+        formatter.formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        // some engines format midnight as "24"
+        const hour = parts.hour === '24' ? '00' : parts.hour;
+
+        return {
+            date: parts.year + '-' + parts.month + '-' + parts.day,
+            time: hour + ':' + parts.minute,
+            weekday: parts.weekday.toLowerCase(),
+        };
+    }
+
+    static _isValidWeek (week) {
+        if (!isPlainObject(week)) {
+            return false;
+        }
+        return Object.keys(week).every(day => weekDays.indexOf(day) !== -1 && WorkingTime._isValidRanges(week[day]));
+    }
+
+    static _isValidRanges (ranges) {
+        return isArray(ranges) && ranges.every(range => {
+            if (!isString(range) || !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(range)) {
+                return false;
+            }
+            const [from, to] = range.split('-');
+            // "24:00" is only valid as the end of the day
+            return WorkingTime._isTime(from) && (WorkingTime._isTime(to) || to === '24:00') && from < to;
+        });
+    }
+
+    static _isTime (time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours < 24 && minutes < 60;
+    }
+
+    static _isDate (date) {
+        return isString(date) && /^\d{4}-\d{2}-\d{2}$/.test(date);
+    }
+
+    static _isDateTime (dateTime) {
+        return isString(dateTime) && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(dateTime);
+    }
+}
+
+export default WorkingTime;
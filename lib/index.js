@@ -1,71 +1,113 @@
 'use strict';
 
 import _ from 'lodash';
-import EventEmitter from 'wolfy87-eventemitter';
 
-import HCAdapter from './HCAdapter';
-import Conf from './Conf';
-import AvailabilityChecker from './AvailabilityChecker';
+import AdapterInstance from './AdapterInstance';
+import Conf, { Conf as ConfClass } from './Conf';
+import { reasons } from './AvailabilityChecker';
+import { chatStates } from './ChatLifecycle';
 import Helpers from './Helpers';
-import SDKLoader from './SDKLoader';
+import HCError from './Error/HCError';
+import SDKLoadError from './Error/SDKLoadError';
+import ConfigError from './Error/ConfigError';
+import SessionError from './Error/SessionError';
+import ChatCreationError from './Error/ChatCreationError';
+import ChatError from './Error/ChatError';
+import SendMessageError from './Error/SendMessageError';
+import UploadError from './Error/UploadError';
+import SurveyError from './Error/SurveyError';
 
 // execute lodash no conflict to avoid overwiting other global "_" objects
 _.noConflict();
 
+/**
+ * Instance used by the module level functions
+ * @type {AdapterInstance}
+ */
+const defaultInstance = new AdapterInstance(Conf);
+
 /**
  * Configure the adapter with the given object
  *
  * @param  {Object} conf
  */
 const configure = (conf = {}) => {
-    Conf.set(conf);
+    defaultInstance.configure(conf);
 };
 
 const setRoomFunction = (roomFunction) => {
-    Conf.setRoomFunction(roomFunction);
+    defaultInstance.setRoomFunction(roomFunction);
+};
+
+/**
+ * Get the resolved configuration, with the default values of the missing keys
+ *
+ * @return {Object}
+ */
+const getConfiguration = () => {
+    return defaultInstance.getConfiguration();
 };
 
 /**
  * Build the actual adapter
  *
- * @param  {Object}     conf
+ * The returned function creates the adapter for the bot instance and returns the control API
+ * (startChat, closeChat, isChatOpen, getChatState, getChatInfo, sendSystemMessage, cancelUpload), also exported by this module
+ *
  * @return {Function}
  */
 const build = () => {
-    return (botInstance) => {
-        if (!_.isObject(botInstance)) {
-            throw new Error('Invalid argument');
-        }
-
-        const adapter = new HCAdapter(botInstance);
-        adapter.on('chat:created', (data) => {
-            events.trigger('chat:created', [data]);
-        });
-        adapter.on('chat:closed', (data) => {
-            events.trigger('chat:closed', [data]);
-        });
-        adapter.on('user:joined', (data) => {
-            events.trigger('user:joined', [data]);
-        });
-        adapter.on('user:left', (data) => {
-            events.trigger('user:left', [data]);
-        });
-        adapter.on('ticket:created', (data) => {
-            events.trigger('ticket:created', [data]);
-        });
-    };
+    return defaultInstance.build();
+};
+
+/**
+ * Create an adapter instance isolated from the default one, to have several bots on the same page
+ * i.e. a sales bot and a support bot with different apps and rooms
+ *
+ * The instance has the same methods as this module (configure, build, checkEscalationConditions, startChat...)
+ * and its own "events" emitter. The global HyperChat SDK can only be initialized once per page:
+ *     - instances of the same app (appId, region or server, port and SDK URL) share it, and also its single
+ *       user session, so only one of them can have a chat at a time. Starting a chat while another instance
+ *       has one fails with a ChatCreationError. Give them different "instanceId" to keep their data apart
+ *     - instances of other apps need their own SDK object in the "icf" configuration, otherwise loading
+ *       the global one fails with a SDKLoadError
+ *
+ * @param  {Object}          conf Configuration, it can also be set later with the "configure" method of the instance
+ * @return {AdapterInstance}
+ */
+const createInstance = (conf) => {
+    const instance = new AdapterInstance(new ConfClass());
+    if (!_.isUndefined(conf)) {
+        instance.configure(conf);
+    }
+    return instance;
 };
 
 /**
  * Check if the escalation conditions are met
  *
- * @param  {Object} conf
+ * Resolves with { agentsAvailable, reason, error, room, lang }, see AvailabilityChecker.check
+ *
  * @return {Promise}
  */
 const checkEscalationConditions = () => {
-    return AvailabilityChecker.check();
+    return defaultInstance.checkEscalationConditions();
 };
 
+/**
+ * Reason codes returned by checkEscalationConditions when the conditions are not met
+ *
+ * @type {Object}
+ */
+const escalationReasons = reasons;
+
+/**
+ * States of the chat returned by getChatState and received in the "chat:state-changed" event
+ *
+ * @type {Object}
+ */
+const states = chatStates;
+
 /**
  * A set of useful helper functions to use in configurations
  *
@@ -73,11 +115,101 @@ const checkEscalationConditions = () => {
  */
 const helpers = Helpers;
 
+/**
+ * Start a chat without waiting for the bot escalation
+ *
+ * @param  {Object}  userData Same data the escalation form sends: FIRST_NAME, LAST_NAME, EMAIL_ADDRESS and extra info
+ * @return {Promise}          Resolves with the outcome { status, chatId, error }, see "start" in HCAdapter
+ */
+const startChat = (userData = {}) => {
+    return defaultInstance.startChat(userData);
+};
+
+/**
+ * Close the current chat as the user
+ *
+ * @param  {string}  reason Optional, sent to the agent as a system message before closing
+ * @return {Promise}
+ */
+const closeChat = (reason) => {
+    return defaultInstance.closeChat(reason);
+};
+
+/**
+ * Check if there's an open chat
+ *
+ * @return {Boolean}
+ */
+const isChatOpen = () => {
+    return defaultInstance.isChatOpen();
+};
+
+/**
+ * Get the state of the chat: "idle", "connecting", "queued", "active", "closing" or "closed"
+ *
+ * @return {string}
+ */
+const getChatState = () => {
+    return defaultInstance.getChatState();
+};
+
+/**
+ * Get the information of the current chat: { chatId, room, lang, agent, state, surveyPending }
+ *
+ * @return {Object}
+ */
+const getChatInfo = () => {
+    return defaultInstance.getChatInfo();
+};
+
+/**
+ * Display a system message in the bot window
+ *
+ * @param  {mixed}  message Text or system message object
+ * @return {string}         ID of the displayed message
+ */
+const sendSystemMessage = (message) => {
+    return defaultInstance.sendSystemMessage(message);
+};
+
+/**
+ * Cancel a file upload that is still in progress
+ *
+ * @param  {string}  messageId Bot message ID of the file, as received in "media:upload-progress"
+ * @return {Boolean}           Whether it was cancelled, false if it's already finished
+ */
+const cancelUpload = (messageId) => {
+    return defaultInstance.cancelUpload(messageId);
+};
+
 const validateHyperchatApp = () => {
-    return SDKLoader.load();
+    return defaultInstance.validateHyperchatApp();
 };
 
-const events = new EventEmitter();
+/**
+ * Error classes, to check the errors received in the "error" event or the "onError" hook with instanceof
+ *
+ * @type {Object}
+ */
+const errors = {
+    HCError,
+    SDKLoadError,
+    ConfigError,
+    SessionError,
+    ChatCreationError,
+    ChatError,
+    SendMessageError,
+    UploadError,
+    SurveyError,
+};
+
+/**
+ * Emitter of all the adapter events, see "adapterEvents" in HCAdapter for the list and their data
+ *
+ * @type {EventEmitter}
+ */
+const events = defaultInstance.events;
 
 // export index;
-export { configure, setRoomFunction, build, checkEscalationConditions, helpers, validateHyperchatApp, events };
+export { configure, setRoomFunction, getConfiguration, build, createInstance, checkEscalationConditions, escalationReasons, states, helpers, validateHyperchatApp, events, errors,
+    startChat, closeChat, isChatOpen, getChatState, getChatInfo, sendSystemMessage, cancelUpload };
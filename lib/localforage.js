@@ -6,4 +6,4 @@ localforage.config({
     name: 'HyperchatBotAdapter'
 });
 
-export default localforage;
\ No newline at end of file
+export default localforage;
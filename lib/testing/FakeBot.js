@@ -0,0 +1,214 @@
+'use strict';
+
+import { assign, filter, find, isFunction } from 'lodash';
+
+/**
+ * Subscriptions of the bot SDK the adapter uses
+ * @type {Array}
+ */
+const subscriptionNames = [
+    'onEscalateToAgent',
+    'onReady',
+    'onSendMessage',
+    'onDownloadMedia',
+    'onUploadMedia',
+    'onSelectSystemMessageOption',
+];
+
+/**
+ * Actions of the bot SDK that are only recorded, those that display messages are handled apart
+ * @type {Array}
+ */
+const recordedActionNames = [
+    'disableInput',
+    'enableInput',
+    'displayChatbotActivity',
+    'hideChatbotActivity',
+    'setChatbotName',
+    'showCloseButton',
+    'hideCloseButton',
+    'showUploadMediaButton',
+    'hideUploadMediaButton',
+    'showConversationWindow',
+    'hideConversationWindow',
+    'showCustomConversationWindow',
+    'hideCustomConversationWindow',
+    'updateMessage',
+];
+
+/**
+ * Fake Chatbot SDK instance to build the adapter with in tests
+ *
+ * All the actions are recorded in "calls" and the displayed messages are kept in "messages" with their ID.
+ * The methods "ready", "escalate", "userSends", "uploadFile", "downloadMedia" and "selectOption" run the
+ * subscriptions like the real bot does, and a message sent by the user that no subscription handles ends up in
+ * "botMessages" (the "next" callback).
+ *
+ * Options:
+ *     {
+ *         transcript:  {Array}  Returned by "getConversationTranscript"
+ *         sessionData: {Object} Returned by "getSessionData"
+ *     }
+ */
+export default class FakeBot {
+    constructor (options = {}) {
+        this.options = options;
+        this.calls = [];
+        this.messages = [];
+        this.botMessages = [];
+        this.inputEnabled = true;
+        this.handlers = {};
+        this.counter = 0;
+
+        this.subscriptions = {};
+        subscriptionNames.forEach((name) => {
+            this.handlers[name] = [];
+            this.subscriptions[name] = (callback) => {
+                this.handlers[name].push(callback);
+            };
+        });
+
+        this.actions = {};
+        recordedActionNames.forEach((name) => {
+            this.actions[name] = (data) => {
+                this._record(name, data);
+            };
+        });
+        assign(this.actions, {
+            disableInput: () => {
+                this._record('disableInput');
+                this.inputEnabled = false;
+            },
+            enableInput: () => {
+                this._record('enableInput');
+                this.inputEnabled = true;
+            },
+            displaySystemMessage: data => this._display('system', data),
+            displayChatbotMessage: data => this._display('answer', data),
+            displayUserMessage: data => this._display('user', data),
+            getConversationTranscript: (data) => {
+                this._record('getConversationTranscript', data);
+                return this.options.transcript || [];
+            },
+            getSessionData: () => {
+                this._record('getSessionData');
+                return assign({}, this.options.sessionData);
+            },
+        });
+    }
+
+    /**
+     * Run the "onReady" subscriptions, as the bot does once it's built
+     */
+    ready () {
+        return this._run('onReady', {});
+    }
+
+    /**
+     * Escalate to an agent with the data of the escalation form
+     *
+     * @param  {Object} data  { FIRST_NAME, LAST_NAME, EMAIL_ADDRESS, ... }
+     * @return {mixed}        What the adapter returns, a promise when it starts a chat
+     */
+    escalate (data = {}) {
+        return this._run('onEscalateToAgent', data);
+    }
+
+    /**
+     * The user sends a text message
+     *
+     * @param  {string} text
+     * @return {mixed}       What the adapter returns
+     */
+    userSends (text) {
+        const message = { message: text, userActivity: true };
+        message.id = this._display('user', message);
+        return this._run('onSendMessage', message);
+    }
+
+    /**
+     * The user uploads a file
+     *
+     * @param  {Object} file { name, type, size }
+     * @return {mixed}       What the adapter returns
+     */
+    uploadFile (file) {
+        const messageId = this._display('user', { message: file.name, media: file });
+        return this._run('onUploadMedia', { messageId, file });
+    }
+
+    /**
+     * The user clicks a download button
+     *
+     * @param  {Object} media
+     * @return {mixed}
+     */
+    downloadMedia (media) {
+        return this._run('onDownloadMedia', media);
+    }
+
+    /**
+     * The user selects an option of a system message
+     *
+     * @param  {string} messageId ID of the system message
+     * @param  {Object} option    { value, label }
+     * @return {mixed}
+     */
+    selectOption (messageId, option) {
+        return this._run('onSelectSystemMessageOption', { id: messageId, option });
+    }
+
+    /**
+     * Get the recorded calls of an action
+     *
+     * @param  {string} name
+     * @return {Array}       Data of every call
+     */
+    getCalls (name) {
+        return filter(this.calls, { name }).map(call => call.data);
+    }
+
+    /**
+     * Get the displayed messages of a type
+     *
+     * @param  {string} type "system", "answer" or "user"
+     * @return {Array}
+     */
+    getMessages (type) {
+        return type ? filter(this.messages, { type }) : this.messages;
+    }
+
+    /**
+     * Get the first displayed system message with the given text or translation key
+     *
+     * @param  {string} text
+     * @return {Object}
+     */
+    findSystemMessage (text) {
+        return find(this.messages, message => message.type === 'system' && message.data.message === text);
+    }
+
+    _run (name, data) {
+        let result;
+        const next = (message) => {
+            this.botMessages.push(message);
+        };
+        this.handlers[name].forEach((callback) => {
+            if (isFunction(callback)) {
+                result = callback(data, next);
+            }
+        });
+        return result;
+    }
+
+    _display (type, data) {
+        const id = 'bot-message-' + (++this.counter);
+        this._record('display', { type, data });
+        this.messages.push({ id, type, data, message: data.message });
+        return id;
+    }
+
+    _record (name, data) {
+        this.calls.push({ name, data });
+    }
+}
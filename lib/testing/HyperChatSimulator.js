@@ -0,0 +1,591 @@
+'use strict';
+
+import {
+    assign,
+    find,
+    isEmpty,
+    isFunction,
+    values
+} from 'lodash';
+import Cookies from 'js-cookie';
+import EventEmitter from 'wolfy87-eventemitter';
+
+/**
+ * HyperChat cookie name, set while the fake user session is open like the real SDK does
+ * @type {String}
+ */
+const cookieName = 'i.cc';
+/**
+ * Error the real API returns when the user already has an open chat
+ * @type {String}
+ */
+const userHasChatMessage = 'User already has a chat';
+/**
+ * Agent used by the scripted actions when none is given
+ * @type {Object}
+ */
+const defaultAgent = { id: 'agent-1', name: 'Agent', nickname: 'Agent' };
+
+/**
+ * Fake chat, the object returned by "ICF.Chat.init"
+ */
+class FakeChat extends EventEmitter {
+    constructor (simulator, data) {
+        super();
+        this.simulator = simulator;
+        this.id = data.id;
+        this.room = data.room;
+        this.lang = data.lang;
+        this.source = data.source;
+        this.history = data.history || [];
+        this.closed = false;
+        this.users = [simulator.user];
+        this.messages = [];
+    }
+
+    searchAgent () {
+        this.searching = true;
+        return this.simulator._request('chat:searchAgent', () => ({
+            agent: this.simulator.getAvailableAgents(this.room) > 0,
+        }));
+    }
+
+    sendMessage (text, onCreate) {
+        const eventId = this.simulator._nextId('event');
+        if (isFunction(onCreate)) {
+            onCreate(eventId, text, this.simulator.user.id);
+        }
+        return this.simulator._request('chat:sendMessage', () => {
+            const message = this._addMessage(this.simulator.user.id, text, 'text');
+            return { eventId, message };
+        });
+    }
+
+    sendMedia (file, onProgress) {
+        let aborted = false;
+        const request = this.simulator._request('chat:sendMedia', () => {
+            if (aborted) {
+                throw { error: { message: 'Upload aborted' } };
+            }
+            if (isFunction(onProgress)) {
+                onProgress({ loaded: Math.floor((file.size || 0) / 2), total: file.size || 1 });
+                onProgress({ loaded: file.size || 0, total: file.size || 1 });
+            }
+            const media = { id: this.simulator._nextId('media'), name: file.name, type: file.type, size: file.size };
+            this._addMessage(this.simulator.user.id, media, 'media');
+            return { media };
+        });
+        if (this.simulator.options.abortableUploads) {
+            request.abort = () => {
+                aborted = true;
+            };
+        }
+        return request;
+    }
+
+    close () {
+        return this.simulator._request('chat:close', () => {
+            this.closed = true;
+            this.searching = false;
+            return { chatId: this.id };
+        });
+    }
+
+    /**
+     * Mark the agent messages as read and return them by ID, as the SDK does after a reload
+     *
+     * @return {object}
+     */
+    readAnyUnreadMessageFromHistory () {
+        const unread = {};
+        this.messages
+            .filter(message => !message.read && message.sender !== this.simulator.user.id)
+            .forEach((message) => {
+                message.read = true;
+                unread[message.id] = message;
+            });
+        return unread;
+    }
+
+    _addMessage (sender, content, type) {
+        const message = {
+            id: this.simulator._nextId('message'),
+            chat: this.id,
+            sender,
+            message: content,
+            type,
+            created: Math.floor(Date.now() / 1000),
+            read: false,
+        };
+        this.messages.push(message);
+        return message;
+    }
+}
+
+/**
+ * In-memory fake of the HyperChat SDK surface the adapter uses (Api, Lobby, Chat, Connection, Events and Helper),
+ * to test the adapter flows without network access
+ *
+ * Pass "simulator.icf" as the "icf" configuration and script what the agents do:
+ *
+ *     const simulator = new HyperChatSimulator({ agents: { 1: 1 } });
+ *     configure({ appId: 'test', region: 'us', room: () => 1, icf: simulator.icf });
+ *     ...
+ *     simulator.agentJoins();
+ *     simulator.agentSends('Hello, how can I help you?');
+ *     simulator.agentReads();
+ *     simulator.disconnect();
+ *     simulator.reconnect();
+ *     simulator.agentCloses();
+ *
+ * Options:
+ *     {
+ *         agents:           {Object}  Available agents by room ID (default none)
+ *         user:             {Object}  User of the session (default { id: 'user-1', name: 'User' })
+ *         surveyUrl        {string}  URL returned by the surveys API
+ *         abortableUploads {boolean} Whether the "sendMedia" requests have an "abort" method (default false)
+ *     }
+ *
+ * The API routes the adapter calls are answered in memory. Every call is recorded in "requests", others can be
+ * added with "setApiHandler" and any call can be made to fail with "failNext".
+ */
+export default class HyperChatSimulator {
+    constructor (options = {}) {
+        this.options = options;
+        this.agents = assign({}, options.agents);
+        this.user = assign({ id: 'user-1', name: 'User' }, options.user);
+        this.token = null;
+        this.chats = {};
+        this.tickets = [];
+        this.requests = [];
+        this.helperCalls = [];
+        this.apiHandlers = {};
+        this.failures = {};
+        this.counters = {};
+        this.lobbyEvents = new EventEmitter();
+        this.connected = true;
+
+        this.icf = this._buildICF();
+        this._addDefaultApiHandlers();
+    }
+
+    /**
+     * Set the number of available agents of a room
+     *
+     * @param {mixed}  room
+     * @param {number} count
+     */
+    setAvailableAgents (room, count) {
+        this.agents[room] = count;
+    }
+
+    getAvailableAgents (room) {
+        return this.agents[room] || 0;
+    }
+
+    /**
+     * Answer an API route with a custom handler
+     *
+     * @param {string}   method  "GET", "POST"...
+     * @param {string}   path    i.e. "/tickets"
+     * @param {Function} handler Receives the request params and returns the response (or a promise of it)
+     */
+    setApiHandler (method, path, handler) {
+        this.apiHandlers[method + ' ' + path] = handler;
+    }
+
+    /**
+     * Make the next call to an API route or chat method fail
+     *
+     * @param {string} name  API route like "POST /users", or chat method like "chat:sendMessage" or "chat:searchAgent"
+     * @param {mixed}  error Rejection value
+     */
+    failNext (name, error = new Error('Simulated failure')) {
+        this.failures[name] = (this.failures[name] || []).concat([error]);
+    }
+
+    /**
+     * Get the open chat of the user, if any
+     *
+     * @return {FakeChat}
+     */
+    getChat () {
+        return find(values(this.chats), chat => !chat.closed) || null;
+    }
+
+    /**
+     * An agent joins the open chat
+     *
+     * @param  {Object} agent
+     * @return {Object}       The agent
+     */
+    agentJoins (agent = defaultAgent) {
+        const chat = this._getOpenChat();
+        chat.searching = false;
+        if (!find(chat.users, { id: agent.id })) {
+            chat.users.push(agent);
+        }
+        chat.trigger('user:joined', [{ user: agent }]);
+        return agent;
+    }
+
+    /**
+     * An agent leaves the open chat
+     *
+     * @param {Object} agent
+     */
+    agentLeaves (agent = defaultAgent) {
+        const chat = this._getOpenChat();
+        chat.users = chat.users.filter(user => user.id !== agent.id);
+        chat.trigger('user:left', [{ user: agent }]);
+    }
+
+    /**
+     * An agent sends a text message to the open chat
+     *
+     * @param  {string} text
+     * @param  {Object} agent
+     * @return {Object}       The chat message
+     */
+    agentSends (text, agent = defaultAgent) {
+        const chat = this._getOpenChat();
+        const message = chat._addMessage(agent.id, text, 'text');
+        this._deliver(chat, message);
+        return message;
+    }
+
+    /**
+     * An agent sends a file to the open chat
+     *
+     * @param  {Object} file  { name, type, size, url }
+     * @param  {Object} agent
+     * @return {Object}       The chat message
+     */
+    agentSendsMedia (file, agent = defaultAgent) {
+        const chat = this._getOpenChat();
+        const media = assign({ id: this._nextId('media') }, file);
+        const message = chat._addMessage(agent.id, media, 'media');
+        this._deliver(chat, message);
+        return message;
+    }
+
+    /**
+     * An agent starts or stops writing
+     *
+     * @param {boolean} writing
+     * @param {Object}  agent
+     */
+    agentTypes (writing = true, agent = defaultAgent) {
+        this._getOpenChat().trigger('user:activity', [{ userId: agent.id, type: writing ? 'writing' : 'not-writing' }]);
+    }
+
+    /**
+     * An agent reads all the messages of the user
+     */
+    agentReads () {
+        const chat = this._getOpenChat();
+        chat.messages
+            .filter(message => !message.read && message.sender === this.user.id)
+            .forEach((message) => {
+                message.read = true;
+                chat.trigger('message:read', [{ message }]);
+            });
+    }
+
+    /**
+     * Another agent takes over the open chat
+     *
+     * @param {Object} interventor
+     * @param {Array}  intervenedUsers Agents that leave the chat (all the current ones by default)
+     */
+    agentIntervenes (interventor, intervenedUsers) {
+        const chat = this._getOpenChat();
+        const intervened = intervenedUsers || chat.users.filter(user => user.id !== this.user.id);
+        chat.users = chat.users
+            .filter(user => !find(intervened, { id: user.id }))
+            .concat([interventor]);
+        chat.trigger('chat:intervened', [{ interventor, intervenedUsers: intervened }]);
+    }
+
+    /**
+     * An agent closes the open chat
+     *
+     * @param {Object} agent
+     */
+    agentCloses (agent = defaultAgent) {
+        const chat = this._getOpenChat();
+        chat.closed = true;
+        chat.trigger('chat:closed', [{ chatId: chat.id, userId: agent.id }]);
+    }
+
+    /**
+     * An agent converts the open chat to a ticket, which closes it
+     *
+     * @param  {mixed}  ticketId
+     * @return {mixed}           The ticket ID
+     */
+    agentCreatesTicket (ticketId = this._nextId('ticket')) {
+        const chat = this._getOpenChat();
+        chat.closed = true;
+        this.tickets.push({ id: ticketId, chatId: chat.id });
+        this.lobbyEvents.trigger('system:info', [{ data: { ticketId, chatId: chat.id } }]);
+        return ticketId;
+    }
+
+    /**
+     * No agent is left to attend the open chat
+     */
+    noAgentsLeft () {
+        this._getOpenChat().trigger('forever:alone', [{}]);
+    }
+
+    /**
+     * The connection of the SDK drops: the requests fail and the agent messages are not delivered
+     * until "reconnect" is called. Like the real SDK, nothing is notified: dispatch the window "offline"
+     * event to simulate the browser noticing it, or leave it online to simulate a drop of the socket only
+     */
+    disconnect () {
+        this.connected = false;
+    }
+
+    /**
+     * The connection of the SDK is back
+     */
+    reconnect () {
+        this.connected = true;
+    }
+
+    /**
+     * The page is reloaded: the SDK forgets the session and the chats, and the listeners of the adapter are removed.
+     * Once initialized again, the session is only recovered if the HyperChat cookie is there
+     */
+    reload () {
+        this.icf.isInit = false;
+        this.icf.Lobby.logged = false;
+        this.icf.Lobby.chats = {};
+        this.lobbyEvents.removeEvent();
+        values(this.chats).forEach(chat => chat.removeEvent());
+    }
+
+    _buildICF () {
+        const simulator = this;
+
+        const Lobby = {
+            logged: false,
+            chats: {},
+            init (data) {
+                return simulator._request('lobby:init', () => {
+                    Lobby.logged = true;
+                    simulator.user.id = data.id || simulator.user.id;
+                    simulator.token = data.token;
+                    simulator._setCookie(data.token);
+                    return {};
+                });
+            },
+            getUserChats () {
+                const chats = {};
+                values(Lobby.chats)
+                    .filter(chat => !chat.closed)
+                    .forEach((chat) => {
+                        chats[chat.id] = chat;
+                    });
+                return chats;
+            },
+            addEventListener (eventName, callback) {
+                simulator.lobbyEvents.on(eventName, callback);
+            },
+            close () {
+                Lobby.logged = false;
+                simulator.token = null;
+                simulator._setCookie(null);
+            },
+        };
+
+        const Chat = {
+            init (data) {
+                return simulator._request('chat:init', () => {
+                    if (data.id) {
+                        if (!simulator.chats[data.id]) {
+                            throw { error: { message: 'Chat not found' } };
+                        }
+                        Lobby.chats[data.id] = simulator.chats[data.id];
+                        return simulator.chats[data.id];
+                    }
+                    if (simulator.getChat()) {
+                        throw { error: { message: userHasChatMessage } };
+                    }
+                    const chat = new FakeChat(simulator, assign({ id: simulator._nextId('chat') }, data));
+                    simulator.chats[chat.id] = chat;
+                    Lobby.chats[chat.id] = chat;
+                    return chat;
+                });
+            },
+        };
+
+        const Connection = {
+            me: () => simulator.user,
+            getToken: () => simulator.token,
+        };
+
+        const Events = {
+            send (eventName, data) {
+                return simulator._request('event:' + eventName, () => {
+                    if (eventName === 'users:chats') {
+                        const chats = {};
+                        values(simulator.chats)
+                            .filter(chat => !chat.closed)
+                            .forEach((chat) => {
+                                chats[chat.id] = chat;
+                            });
+                        return { chats };
+                    }
+                    return {};
+                });
+            },
+        };
+
+        const Helper = {
+            monitorUserActivity: (...args) => simulator.helperCalls.push({ name: 'monitorUserActivity', args }),
+            downloadMedia: (...args) => simulator.helperCalls.push({ name: 'downloadMedia', args }),
+            downloadConversation: (...args) => simulator.helperCalls.push({ name: 'downloadConversation', args }),
+        };
+
+        const Api = {
+            request (path, method = 'GET', params = {}) {
+                simulator.requests.push({ path, method, params });
+                const handler = simulator.apiHandlers[method + ' ' + path] ||
+                    simulator.apiHandlers[method + ' ' + path.replace(/\/[^\/]+$/, '/:id')] ||
+                    simulator.apiHandlers[method + ' ' + path.replace(/^(\/[^\/]+)\/[^\/]+\//, '$1/:id/')];
+                return simulator._request(method + ' ' + path, () => {
+                    if (!handler) {
+                        throw { error: { code: 404, message: 'Not found: ' + method + ' ' + path } };
+                    }
+                    return handler(params, path);
+                });
+            },
+        };
+
+        return {
+            isInit: true,
+            init () {
+                return simulator._request('icf:init', () => {
+                    this.isInit = true;
+                    // the SDK logs in again with the session of its cookie, and gets the open chats of the user
+                    const token = simulator._getCookie();
+                    if (token && token === simulator.token) {
+                        Lobby.logged = true;
+                        values(simulator.chats)
+                            .filter(chat => !chat.closed)
+                            .forEach((chat) => {
+                                Lobby.chats[chat.id] = chat;
+                            });
+                    }
+                });
+            },
+            Api,
+            Lobby,
+            Chat,
+            Connection,
+            Events,
+            Helper,
+        };
+    }
+
+    _addDefaultApiHandlers () {
+        this.setApiHandler('POST', '/users', (params) => {
+            this.user = assign({}, this.user, { name: params.name, contact: params.contact, extraInfo: params.extraInfo });
+            return {
+                data: {
+                    user: this.user,
+                    session: { token: this._nextId('token') },
+                },
+            };
+        });
+        this.setApiHandler('GET', '/agents/available', (params) => {
+            const agents = {};
+            String(params.roomIds).split(',').forEach((room) => {
+                agents[room] = this.getAvailableAgents(room);
+            });
+            return { data: { agents } };
+        });
+        this.setApiHandler('POST', '/tickets', (params) => {
+            const ticket = assign({ id: this._nextId('ticket') }, params);
+            this.tickets.push(ticket);
+            return { data: { ticket } };
+        });
+        this.setApiHandler('POST', '/chats/:id/system-messages', (params, path) => {
+            const chat = this.chats[path.split('/')[2]];
+            if (!chat) {
+                throw { error: { code: 404, message: 'Chat not found' } };
+            }
+            return { data: { message: chat._addMessage('system', params.message, 'system') } };
+        });
+        this.setApiHandler('GET', '/surveys/:id', (params, path) => {
+            return {
+                data: {
+                    survey: { id: path.split('/').pop(), url: this.options.surveyUrl || 'https://surveys.example.com/' + path.split('/').pop() },
+                },
+            };
+        });
+    }
+
+    /**
+     * Run a fake request asynchronously, failing it if "failNext" was called for it
+     *
+     * @param  {string}   name
+     * @param  {Function} respond
+     * @return {Promise}
+     */
+    _request (name, respond) {
+        if (!this.connected) {
+            return Promise.reject(new Error('Connection lost'));
+        }
+        const failures = this.failures[name];
+        if (!isEmpty(failures)) {
+            return Promise.reject(failures.shift());
+        }
+        return Promise.resolve().then(respond);
+    }
+
+    /**
+     * Deliver an agent message to the listeners of the chat, which marks it as read like the SDK does.
+     * Without connection it stays unread, to be read from the history on reconnection
+     *
+     * @param {FakeChat} chat
+     * @param {Object}   message
+     */
+    _deliver (chat, message) {
+        if (this.connected) {
+            message.read = true;
+            chat.trigger('message:received', [{ message }]);
+        }
+    }
+
+    _getOpenChat () {
+        const chat = this.getChat();
+        if (!chat) {
+            throw new Error('There is no open chat in the simulator');
+        }
+        return chat;
+    }
+
+    _setCookie (value) {
+        if (typeof document === 'undefined') {
+            return;
+        }
+        if (value) {
+            Cookies.set(cookieName, value);
+        } else {
+            Cookies.remove(cookieName);
+        }
+    }
+
+    _getCookie () {
+        return typeof document === 'undefined' ? null : Cookies.get(cookieName);
+    }
+
+    _nextId (prefix) {
+        this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+        return prefix + '-' + this.counters[prefix];
+    }
+}
@@ -0,0 +1,9 @@
+'use strict';
+
+import HyperChatSimulator from './HyperChatSimulator';
+import FakeBot from './FakeBot';
+
+/**
+ * Test doubles to run the adapter without the HyperChat SDK nor the Chatbot SDK, see every class for its usage
+ */
+export { HyperChatSimulator, FakeBot };
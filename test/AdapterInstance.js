@@ -0,0 +1,40 @@
+import { expect } from 'chai';
+
+import AdapterInstance from './../lib/AdapterInstance.js';
+import { Conf } from './../lib/Conf.js';
+
+const conf = (appId) => ({
+    appId,
+    region: 'us',
+    room: () => appId === 'sales' ? 1 : 2,
+});
+
+describe('AdapterInstance', () => {
+    it('should keep the configuration of every instance apart', () => {
+        const sales = new AdapterInstance(new Conf());
+        const support = new AdapterInstance(new Conf());
+        sales.configure(conf('sales'));
+        support.configure(conf('support'));
+
+        expect(sales.getConfiguration().appId).to.equal('sales');
+        expect(support.getConfiguration().appId).to.equal('support');
+        expect(sales.conf.getRooms()).to.deep.equal([1]);
+        expect(support.conf.getRooms()).to.deep.equal([2]);
+        expect(sales.events).to.not.equal(support.events);
+    });
+
+    it('should fail to use the control API before building the adapter', () => {
+        const instance = new AdapterInstance(new Conf());
+        ['isChatOpen', 'getChatState', 'getChatInfo', 'sendSystemMessage', 'cancelUpload'].forEach((name) => {
+            expect(() => instance[name](), name).to.throw('The adapter has not been built yet');
+        });
+
+        return Promise.all(['startChat', 'closeChat'].map((name) => {
+            return instance[name]().then(() => {
+                throw new Error(name + ' should have failed');
+            }, (err) => {
+                expect(err.message, name).to.equal('The adapter has not been built yet');
+            });
+        }));
+    });
+});
@@ -0,0 +1,104 @@
+import { expect } from 'chai';
+
+import { AvailabilityChecker, reasons } from './../lib/AvailabilityChecker.js';
+import { Conf } from './../lib/Conf.js';
+import { SDKLoader } from './../lib/SDKLoader.js';
+import { HyperChatSimulator } from './../lib/testing';
+import { installBrowser, uninstallBrowser } from './mockups/browser.js';
+
+describe('AvailabilityChecker check', () => {
+    let simulator;
+
+    beforeEach(() => {
+        installBrowser();
+        simulator = new HyperChatSimulator({ agents: { 2: 1, 3: 2 } });
+    });
+
+    afterEach(uninstallBrowser);
+
+    const createChecker = (values = {}) => {
+        const conf = new Conf();
+        conf.set(Object.assign({ appId: 'test', region: 'us', room: () => 2, icf: simulator.icf }, values));
+        return new AvailabilityChecker(conf, new SDKLoader(conf));
+    };
+
+    it('should resolve with the room when there are available agents', () => {
+        return createChecker().check()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: true, room: 2, rooms: [2] });
+                expect(response).to.not.have.property('reason');
+            });
+    });
+
+    it('should fall back to the next room with available agents', () => {
+        return createChecker({ room: () => [1, 3, 2] }).check()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: true, room: 3, rooms: [1, 3, 2] });
+                // all the rooms are checked with a single request
+                const requests = simulator.requests.filter(request => request.path === '/agents/available');
+                expect(requests.map(request => request.params.roomIds)).to.deep.equal(['1,3,2']);
+            });
+    });
+
+    it('should check the room of the current language', () => {
+        return createChecker({ room: () => ({ en: 1, es: 2, default: 3 }), lang: () => 'es' }).check()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: true, room: 2, lang: 'es' });
+                expect(simulator.requests.slice(-1)[0].params).to.deep.equal({ roomIds: '2', langs: 'es' });
+                return createChecker({ room: () => ({ en: 1, es: 2, default: 3 }), lang: () => 'fr' }).check();
+            })
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: true, room: 3, lang: 'fr' });
+            });
+    });
+
+    it('should tell when there are no available agents in any room', () => {
+        return createChecker({ room: () => [1, 4] }).check()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: reasons.NO_AGENTS, room: 1 });
+            });
+    });
+
+    it('should tell when it is outside the working hours of all the rooms', () => {
+        const today = new Date().toISOString().slice(0, 10);
+
+        return createChecker({ workingTime: { timezone: 'UTC', holidays: [today] } }).check()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: reasons.OUTSIDE_HOURS });
+            });
+    });
+
+    it('should tell when the SDK or the agents request fail', () => {
+        simulator.icf.isInit = false;
+        simulator.failNext('icf:init');
+
+        return createChecker().check()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: reasons.SDK_UNAVAILABLE });
+                simulator.failNext('GET /agents/available');
+                return createChecker().check();
+            })
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: reasons.API_ERROR });
+                expect(response.error.message).to.equal('Simulated failure');
+            });
+    });
+
+    it('should tell the configuration is wrong when the room or language functions fail', () => {
+        const failure = new Error('No language yet');
+
+        return createChecker({ lang: () => { throw failure; } }).check()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: reasons.MISCONFIGURED, error: failure });
+                return createChecker({ room: () => { throw new Error('No room'); } }).check();
+            })
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: reasons.MISCONFIGURED });
+                return createChecker({ room: () => [] }).check();
+            })
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: reasons.MISCONFIGURED });
+                expect(simulator.requests).to.be.empty;
+            });
+    });
+});
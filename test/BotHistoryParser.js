@@ -0,0 +1,63 @@
+import { expect } from 'chai';
+
+import BotHistoryParser from './../lib/BotHistoryParser.js';
+
+describe('BotHistoryParser htmlToText', () => {
+
+    it('should convert HTML to clean text keeping links and lists', () => {
+        const html = '<p>Hello &amp; welcome</p><ul><li>One</li><li><a href="https://example.com">Two</a></li></ul>';
+        expect(BotHistoryParser.htmlToText(html)).to.equal('Hello & welcome\n- One\n- Two (https://example.com)');
+    });
+
+});
+
+describe('BotHistoryParser getText', () => {
+
+    it('should list the options of multiple choice questions', () => {
+        const text = BotHistoryParser.getText({
+            type: 'multipleChoiceQuestion',
+            message: '<b>Which one?</b>',
+            options: [{ label: 'First', value: 1 }, { label: 'Second', value: 2 }],
+        });
+        expect(text).to.equal('Which one?\n- First\n- Second');
+    });
+
+    it('should list the carousel items', () => {
+        const text = BotHistoryParser.getText({
+            type: 'carousel',
+            message: '',
+            carousel: [{ title: 'Plan A', subtitle: 'Cheap' }, { title: 'Plan B' }],
+        });
+        expect(text).to.equal('- Plan A: Cheap\n- Plan B');
+    });
+
+    it('should add the chosen option and the rating', () => {
+        expect(BotHistoryParser.getText({ type: 'answer', message: 'Yes', option: { label: 'Yes', value: 'yes' } })).to.equal('Yes\n> Yes');
+        expect(BotHistoryParser.getText({ type: 'answer', message: 'Done', rating: { label: 'Useful', comment: 'great' } })).to.equal('Done\n[Rated: Useful - great]');
+    });
+
+    it('should list the form fields with their values', () => {
+        const text = BotHistoryParser.getText({
+            type: 'form',
+            message: 'Your details',
+            fields: [{ label: 'Name', value: 'Jane' }, { label: 'Age', value: 30 }, { label: 'Phone' }],
+        });
+        expect(text).to.equal('Your details\n- Name: Jane\n- Age: 30\n- Phone');
+    });
+
+    it('should list the sub-answers and show the downloads', () => {
+        const text = BotHistoryParser.getText({
+            type: 'extendedContentsAnswer',
+            message: 'Topics',
+            subAnswers: [{ message: '<p>Shipping</p>' }, { message: 'Returns' }],
+        });
+        expect(text).to.equal('Topics\n- Shipping\n- Returns');
+        expect(BotHistoryParser.getText({ type: 'download', message: { name: 'guide.pdf', url: 'https://example.com/guide.pdf' } })).to.equal('guide.pdf');
+    });
+
+    it('should show the media URLs', () => {
+        const text = BotHistoryParser.getText({ type: 'media', media: [{ name: 'map.png', url: 'https://example.com/map.png' }] });
+        expect(text).to.equal('map.png: https://example.com/map.png');
+    });
+
+});
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+
+import ChatLifecycle, { chatStates } from './../lib/ChatLifecycle.js';
+import { createStorage } from './mockups/browser.js';
+
+describe('ChatLifecycle', () => {
+    it('should only allow the defined transitions', () => {
+        const lifecycle = new ChatLifecycle(createStorage());
+
+        expect(lifecycle.transition(chatStates.ACTIVE)).to.be.false;
+        expect(lifecycle.transition(chatStates.CONNECTING)).to.be.true;
+        expect(lifecycle.transition(chatStates.QUEUED, 'chat-1')).to.be.true;
+        expect(lifecycle.transition(chatStates.IDLE)).to.be.false;
+        expect(lifecycle.state).to.equal('queued');
+        expect(lifecycle.chatId).to.equal('chat-1');
+    });
+
+    it('should notify and persist every change', () => {
+        const storage = createStorage();
+        const changes = [];
+        const lifecycle = new ChatLifecycle(storage, change => changes.push(change));
+
+        lifecycle.transition(chatStates.CONNECTING);
+        lifecycle.transition(chatStates.QUEUED, 'chat-1');
+
+        expect(changes).to.deep.equal([
+            { previous: 'idle', state: 'connecting', chatId: null },
+            { previous: 'connecting', state: 'queued', chatId: 'chat-1' },
+        ]);
+
+        const reloaded = new ChatLifecycle(storage);
+        return reloaded.load()
+            .then((state) => {
+                expect(state).to.equal('queued');
+                expect(reloaded.is(chatStates.QUEUED, chatStates.ACTIVE)).to.be.true;
+                expect(reloaded.stored).to.be.true;
+            });
+    });
+
+    it('should report the changes that could not be persisted', () => {
+        const failure = new Error('Quota exceeded');
+        const storage = createStorage();
+        storage.setItem = () => Promise.reject(failure);
+        const errors = [];
+        const lifecycle = new ChatLifecycle(storage, () => {}, (error, change) => errors.push({ error, change }));
+
+        expect(lifecycle.stored).to.be.false;
+        expect(lifecycle.transition(chatStates.CONNECTING)).to.be.true;
+
+        return Promise.resolve()
+            .then(() => {
+                expect(lifecycle.state).to.equal('connecting');
+                expect(lifecycle.stored).to.be.true;
+                expect(errors).to.deep.equal([{ error: failure, change: { state: 'connecting', chatId: null } }]);
+            });
+    });
+});
@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import Conf from './../lib/Conf.js';
+import ConfigError from './../lib/Error/ConfigError.js';
+
+const validConf = (values = {}) => Object.assign({
+    appId: 'app',
+    region: 'us',
+    room: () => 1,
+}, values);
+
+describe('Conf', () => {
+    beforeEach(() => {
+        sinon.stub(console, 'warn');
+    });
+
+    afterEach(() => {
+        console.warn.restore();
+    });
+
+    it('should name the missing required key', () => {
+        expect(() => Conf.validate({ region: 'us', room: () => 1 }))
+            .to.throw(ConfigError, 'Missing required configuration value "appId" (expected string)');
+    });
+
+    it('should require the region or the server', () => {
+        expect(() => Conf.validate({ appId: 'app', room: () => 1 })).to.throw(ConfigError, '"region" or "server"');
+    });
+
+    it('should name the invalid nested key and the expected type', () => {
+        try {
+            Conf.validate(validConf({ transcript: { download: 'yes' } }));
+            throw new Error('Not thrown');
+        } catch (err) {
+            expect(err).to.be.an.instanceof(ConfigError);
+            expect(err.message).to.equal('Invalid configuration value "transcript.download": expected boolean, got string');
+            expect(err.context).to.deep.equal({ key: 'transcript.download', expected: 'boolean' });
+        }
+    });
+
+    it('should validate the array items', () => {
+        expect(() => Conf.validate(validConf({ redaction: { rules: ['email', 'passport'] } })))
+            .to.throw(ConfigError, '"redaction.rules[1]"');
+    });
+
+    it('should require a positive inactivity time before the warning', () => {
+        expect(() => Conf.validate(validConf({ inactivity: { warnAfter: 0 } })))
+            .to.throw(ConfigError, '"inactivity.warnAfter": expected a number greater than 0');
+        expect(() => Conf.validate(validConf({ inactivity: { warnAfter: 0.5 } }))).to.not.throw();
+    });
+
+    it('should warn about unknown keys with a suggestion', () => {
+        expect(Conf.validate(validConf({ importBotHistroy: true }))).to.be.true;
+        expect(console.warn.calledWith('Unknown configuration key "importBotHistroy", did you mean "importBotHistory"?')).to.be.true;
+    });
+
+    it('should assign the default values', () => {
+        const conf = Conf.assignDefaults(validConf({ transcript: {} }));
+        expect(conf.sdkVersion).to.equal('1');
+        expect(conf.maxMessagesImport).to.equal(150);
+        expect(conf.transcript.download).to.be.false;
+        expect(conf.lang()).to.equal('');
+    });
+});
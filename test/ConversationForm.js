@@ -0,0 +1,45 @@
+import { expect } from 'chai';
+
+import ConversationForm from './../lib/ConversationForm.js';
+import { FakeBot } from './../lib/testing';
+
+describe('ConversationForm', () => {
+    const createForm = () => new ConversationForm(new FakeBot(), {
+        id: 'test-form',
+        fields: [
+            { name: 'name', required: true },
+            { name: 'email', type: 'email' },
+            { name: 'phone', validator: 'phone', invalidMessage: 'Wrong phone' },
+            { name: 'order', validator: /^[A-Z]{2}\d{4}$/ },
+        ],
+    });
+
+    it('should accept valid values and empty optional fields', () => {
+        const form = createForm();
+        expect(form.validate({ name: 'Jane', email: 'jane@example.com', phone: '+34 600 11 22 33', order: 'AB1234' })).to.be.empty;
+        expect(form.validate({ name: 'Jane', email: '', phone: '', order: '' })).to.be.empty;
+    });
+
+    it('should report the required and invalid fields', () => {
+        const errors = createForm().validate({ email: 'jane@', phone: 'call me', order: 'ab1234' });
+        expect(errors).to.deep.equal({
+            name: 'This field is required',
+            email: 'This value is not valid',
+            phone: 'Wrong phone',
+            order: 'This value is not valid',
+        });
+    });
+
+    it('should validate every value from the start with global and sticky RegExps', () => {
+        const form = new ConversationForm(new FakeBot(), {
+            id: 'test-form',
+            fields: [
+                { name: 'code', validator: /^\d{4}$/g },
+                { name: 'zip', validator: /\d{5}/y },
+            ],
+        });
+        expect(form.validate({ code: '1234', zip: '08001' })).to.be.empty;
+        expect(form.validate({ code: '1234', zip: '08001' })).to.be.empty;
+        expect(form.validate({ code: '5678', zip: '28001' })).to.be.empty;
+    });
+});
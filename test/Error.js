@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+
+import * as index from './../lib';
+
+const { HCError } = index.errors;
+
+const errorCodes = {
+    SDKLoadError: 'sdk-load-failed',
+    ConfigError: 'invalid-config',
+    SessionError: 'session-failed',
+    ChatCreationError: 'chat-creation-failed',
+    ChatError: 'chat-failed',
+    SendMessageError: 'message-send-failed',
+    UploadError: 'upload-failed',
+    SurveyError: 'survey-failed',
+};
+
+describe('Error classes', () => {
+    Object.keys(errorCodes).forEach((name) => {
+        it(name + ' should be an HCError with its code, cause and context', () => {
+            const ErrorClass = index.errors[name];
+            const cause = new Error('Network error');
+            const error = new ErrorClass(undefined, cause, { chatId: 'chat-1' });
+
+            expect(error).to.be.an.instanceof(ErrorClass);
+            expect(error).to.be.an.instanceof(HCError);
+            expect(error).to.be.an.instanceof(Error);
+            expect(error.name).to.equal(name);
+            expect(error.code).to.equal(errorCodes[name]);
+            expect(error.message).to.be.a('string').and.not.be.empty;
+            expect(error.cause).to.equal(cause);
+            expect(error.context).to.deep.equal({ chatId: 'chat-1' });
+            expect(new ErrorClass('Custom message').message).to.equal('Custom message');
+        });
+    });
+
+    it('HCError should have default values', () => {
+        const error = new HCError();
+        expect(error).to.include({ name: 'HCError', code: 'hc-error', cause: null });
+        expect(error.context).to.deep.equal({});
+    });
+
+    it('HCError.from should keep the HCErrors and wrap the rest in the given class', () => {
+        const { ChatError, SendMessageError } = index.errors;
+        const chatError = new ChatError();
+        expect(HCError.from(chatError, SendMessageError)).to.equal(chatError);
+
+        const cause = { error: { message: 'Chat not found' } };
+        const wrapped = HCError.from(cause, SendMessageError, { messageId: 'bot-message-1' });
+        expect(wrapped).to.be.an.instanceof(SendMessageError);
+        expect(wrapped.cause).to.equal(cause);
+        expect(wrapped.context).to.deep.equal({ messageId: 'bot-message-1' });
+    });
+});
@@ -2,97 +2,1188 @@ import { expect } from 'chai';
 import sinon from 'sinon';
 
 import HCAdapter from './../lib/HCAdapter.js';
-import botMock from './mockups/bot.js';
-import confMock from './mockups/conf.js';
+import AdapterInstance from './../lib/AdapterInstance.js';
+import { Conf } from './../lib/Conf.js';
+import ChatCreationError from './../lib/Error/ChatCreationError.js';
+import Storage from './../lib/Storage.js';
+import { HyperChatSimulator, FakeBot } from './../lib/testing';
+import { installBrowser, uninstallBrowser, createStorage } from './mockups/browser.js';
+
+// let all the pending promise chains of the adapter and the simulator finish
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+// same with fake timers, only running the pending promise callbacks
+const flushPromises = () => {
+    let promise = Promise.resolve();
+    for (let i = 0; i < 10; i++) {
+        promise = promise.then(() => {});
+    }
+    return promise;
+};
+
+// submit a form of the conversation window with the given values
+const submitForm = (formId, values) => {
+    const elements = {};
+    Object.keys(values).forEach((name) => {
+        elements[name] = { value: values[name] };
+    });
+    document.dispatch('submit', { target: { id: formId, elements }, preventDefault: () => {} });
+};
+
+const createInstance = (simulator, values = {}, storage = createStorage()) => {
+    const instance = new AdapterInstance(new Conf());
+    instance.configure(Object.assign({
+        appId: 'test',
+        region: 'us',
+        room: () => 1,
+        icf: simulator.icf,
+    }, values));
+    instance.storage = storage;
+    return instance;
+};
 
 describe('HCAdapter constructor', () => {
+    beforeEach(installBrowser);
+    afterEach(uninstallBrowser);
 
     it('should be a class', () => {
         expect(HCAdapter).to.be.a('function');
-        expect(new HCAdapter(botMock, confMock)).to.be.an.instanceof(HCAdapter);
-    });
-
-    it('should receive a bot instance as first argument', () => {
-        expect(() => { new HCAdapter(botMock, confMock); }).to.not.throw();
+        expect(new HCAdapter(new FakeBot(), { storage: createStorage() })).to.be.an.instanceof(HCAdapter);
     });
 
     it('should throw if first argument is not a bot instance', () => {
-        expect(() => { new HCAdapter({}); }).to.throw();
+        expect(() => { new HCAdapter({}); }).to.throw('Not a valid bot instance');
     });
 
-    it('should receive a conf object as second argument', () => {
-        expect(() => { new HCAdapter(botMock, confMock); }).to.not.throw();
+    it('should use the objects of the instance it belongs to', () => {
+        const conf = new Conf();
+        const storage = createStorage();
+        const adapter = new HCAdapter(new FakeBot(), { conf, storage });
+        expect(adapter.conf).to.equal(conf);
+        expect(adapter.storage).to.equal(storage);
     });
 
-    it('should throw if second argument is not a conf object', () => {
-        expect(() => { new HCAdapter(botMock, {}); }).to.throw();
+    it('should subscribe to the bot events', () => {
+        const bot = new FakeBot();
+        new HCAdapter(bot, { storage: createStorage() });
+        Object.keys(bot.handlers).forEach((name) => {
+            expect(bot.handlers[name], name).to.have.lengthOf(1);
+        });
     });
-
 });
 
-describe('HCAdapter loadHyperchatSDK', () => {
+describe('HCAdapter _checkIsBotInstance', () => {
     let adapter;
 
     beforeEach(() => {
-        adapter = new HCAdapter(botMock, confMock);
+        installBrowser();
+        adapter = new HCAdapter(new FakeBot(), { storage: createStorage() });
+    });
+
+    it('should return a boolean', () => {
+        expect(adapter._checkIsBotInstance(new FakeBot())).to.be.a('boolean');
     });
 
-    it('should create a script element in the DOM', () => {
+    it('should return true if the argument is a bot instance', () => {
+        expect(adapter._checkIsBotInstance(new FakeBot())).to.be.true;
+    });
 
+    it('should return false if the argument is NOT a bot instance', () => {
+        expect(adapter._checkIsBotInstance({})).to.be.false;
     });
 
     afterEach(() => {
         adapter = null;
+        uninstallBrowser();
     });
-
 });
 
-describe('HCAdapter _checkIsBotInstance', () => {
+describe('HCAdapter _validateUpload', () => {
     let adapter;
 
     beforeEach(() => {
-        adapter = new HCAdapter(botMock, confMock);
+        installBrowser();
+        const conf = new Conf();
+        conf.set({
+            appId: 'test',
+            region: 'us',
+            room: () => 1,
+            fileUploadsMaxFiles: 2,
+            fileUploadsMaxSize: 1048576,
+            fileUploadsAllowedTypes: ['image/*', 'application/pdf'],
+            fileUploadsAllowedExtensions: ['.png', 'pdf'],
+        });
+        adapter = new HCAdapter(new FakeBot(), { conf, storage: createStorage() });
     });
 
-    it('should return a boolean', () => {
-        expect(adapter._checkIsBotInstance(botMock)).to.be.a('boolean');
-    });
+    afterEach(uninstallBrowser);
 
-    it('should return true if the argument is a bot instance', () => {
-        expect(adapter._checkIsBotInstance(botMock)).to.be.true;
+    const file = (name, type, size = 1000) => ({ name, type, size });
+
+    it('should accept the files that meet all the restrictions', () => {
+        expect(adapter._validateUpload(file('photo.PNG', 'image/png'))).to.be.null;
+        expect(adapter._validateUpload(file('invoice.pdf', 'application/pdf'))).to.be.null;
     });
 
-    it('should return false if the argument is NOT a bot instance', () => {
-        expect(adapter._checkIsBotInstance({})).to.be.false;
+    it('should reject the files that are too large', () => {
+        expect(adapter._validateUpload(file('photo.png', 'image/png', 1048577)))
+            .to.deep.equal({ message: 'file-too-large', replacements: { maxSize: 1 } });
     });
 
-    afterEach(() => {
-        adapter = null;
+    it('should reject the files of types and extensions not allowed', () => {
+        expect(adapter._validateUpload(file('notes.txt', 'text/plain'))).to.deep.equal({ message: 'file-type-not-allowed' });
+        expect(adapter._validateUpload(file('photo.gif', 'image/gif'))).to.deep.equal({ message: 'file-extension-not-allowed' });
+        expect(adapter._validateUpload(file('photo', 'image/png'))).to.deep.equal({ message: 'file-extension-not-allowed' });
     });
 
+    it('should count the uploads in progress against the maximum of files', () => {
+        adapter.uploadedFiles = 1;
+        expect(adapter._validateUpload(file('photo.png', 'image/png'))).to.be.null;
+
+        adapter.uploads['bot-message-1'] = {};
+        expect(adapter._validateUpload(file('photo.png', 'image/png')))
+            .to.deep.equal({ message: 'file-limit-reached', replacements: { maxFiles: 2 } });
+    });
 });
 
-describe('HCAdapter _checkIsConfObject', () => {
-    let adapter;
+describe('HCAdapter chat flows', () => {
+    let simulator, bot, instance, storage;
 
     beforeEach(() => {
-        adapter = new HCAdapter(botMock, confMock);
+        installBrowser();
+        simulator = new HyperChatSimulator({ agents: { 1: 1 } });
+        bot = new FakeBot();
+        storage = createStorage();
+        instance = createInstance(simulator, {}, storage);
+        instance.build()(bot);
     });
 
-    it('should return a boolean', () => {
-        expect(adapter._checkIsConfObject(confMock)).to.be.a('boolean');
+    afterEach(uninstallBrowser);
+
+    it('should create the chat with the escalation data and search an agent', () => {
+        const created = sinon.spy();
+        instance.events.on('chat:created', created);
+
+        return bot.escalate({ FIRST_NAME: 'Jane', LAST_NAME: 'Doe', EMAIL_ADDRESS: 'jane@example.com', ORDER: '42' })
+            .then(() => {
+                const chat = simulator.getChat();
+                expect(chat.room).to.equal(1);
+                expect(chat.searching).to.be.true;
+                expect(simulator.user.name).to.equal('Jane Doe');
+                expect(simulator.user.extraInfo).to.deep.equal({ ORDER: '42' });
+                expect(created.calledOnce).to.be.true;
+                expect(created.firstCall.args[0].chat.id).to.equal(chat.id);
+                expect(created.firstCall.args[0].room).to.equal(1);
+                expect(bot.findSystemMessage('wait-for-agent')).to.exist;
+                expect(bot.inputEnabled).to.be.true;
+                expect(instance.isChatOpen()).to.be.true;
+            });
     });
 
-    it('should return true if the argument is a bot instance', () => {
-        expect(adapter._checkIsConfObject(confMock)).to.be.true;
+    it('should create the chat in the first room with available agents', () => {
+        const created = sinon.spy();
+        simulator.setAvailableAgents(1, 0);
+        simulator.setAvailableAgents(3, 2);
+        const fallbackInstance = createInstance(simulator, { room: () => [1, 2, 3] });
+        const fallbackBot = new FakeBot();
+        fallbackInstance.build()(fallbackBot);
+        fallbackInstance.events.on('chat:created', created);
+
+        return fallbackBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                expect(simulator.getChat().room).to.equal(3);
+                expect(created.firstCall.args[0].room).to.equal(3);
+                expect(fallbackInstance.getChatInfo().room).to.equal(3);
+                // the rooms are checked with a single request
+                const requests = simulator.requests.filter(request => request.path === '/agents/available');
+                expect(requests.map(request => request.params.roomIds)).to.deep.equal(['1,2,3']);
+            });
     });
 
-    it('should return false if the argument is NOT a bot instance', () => {
-        expect(adapter._checkIsConfObject({})).to.be.false;
+    it('should exchange messages with the agent', () => {
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins({ id: 'agent-7', name: 'Ann' });
+                expect(instance.getChatInfo().agent).to.deep.equal({ id: 'agent-7', name: 'Ann' });
+                expect(bot.findSystemMessage('agent-joined').data.replacements).to.deep.equal({ agentName: 'Ann' });
+
+                simulator.agentSends('How can I help you?', { id: 'agent-7', name: 'Ann' });
+                bot.userSends('My order is late');
+                return flush();
+            })
+            .then(() => {
+                expect(bot.getMessages('answer').map(message => message.message)).to.deep.equal(['How can I help you?']);
+                const sent = simulator.getChat().messages.filter(message => message.sender === simulator.user.id);
+                expect(sent.map(message => message.message)).to.deep.equal(['My order is late']);
+                expect(bot.botMessages).to.be.empty;
+
+                simulator.agentReads();
+                const ticks = bot.getCalls('updateMessage').filter(update => update.action === 'DOUBLE_TICK');
+                expect(ticks.map(update => update.externalId)).to.deep.equal([sent[0].id]);
+            });
     });
 
-    afterEach(() => {
-        adapter = null;
+    it('should report the middleware failures without losing the messages', () => {
+        const onError = sinon.spy();
+        const failing = () => {
+            throw new Error('Broken middleware');
+        };
+        const middlewareInstance = createInstance(simulator, { onError, middleware: { inbound: [failing], outbound: [failing] } });
+        const middlewareBot = new FakeBot();
+        middlewareInstance.build()(middlewareBot);
+
+        return middlewareBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentSends('Hello Jane');
+                middlewareBot.userSends('Hi');
+                return flush();
+            })
+            .then(() => {
+                // the agent message is displayed as received
+                expect(middlewareBot.getMessages('answer').map(message => message.message)).to.deep.equal(['Hello Jane']);
+                // the user message is not sent and marked as failed
+                expect(simulator.getChat().messages.filter(message => message.sender === simulator.user.id)).to.be.empty;
+                const userMessageId = middlewareBot.getMessages('user')[0].id;
+                expect(middlewareBot.getCalls('updateMessage')).to.deep.include({ id: userMessageId, action: 'ERROR_TICK' });
+
+                const errors = onError.args.map(args => args[0]);
+                expect(errors.map(error => error.message)).to.have.members(['Inbound middleware failed', 'Outbound middleware failed']);
+                expect(errors.every(error => error.cause.message === 'Broken middleware')).to.be.true;
+            });
+    });
+
+    it('should import the bot history as it was when a middleware fails', () => {
+        const onError = sinon.spy();
+        const failing = (message) => {
+            if (message.message === 'Where is my order?') {
+                throw new Error('Broken middleware');
+            }
+            return message;
+        };
+        const transcript = [
+            { type: 'answer', user: 'guest', message: 'Where is my order?', datetime: 1 },
+            { type: 'answer', user: 'assistant', message: 'Let me check', datetime: 2 },
+        ];
+        const historyInstance = createInstance(simulator, { onError, importBotHistory: true, middleware: { outbound: [failing] } });
+        const historyBot = new FakeBot({ transcript });
+        historyInstance.build()(historyBot);
+
+        return historyBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                expect(simulator.getChat().history.map(message => message.message)).to.deep.equal(['Where is my order?', 'Let me check']);
+                expect(onError.calledOnce).to.be.true;
+                expect(onError.firstCall.args[0].message).to.equal('Outbound middleware failed');
+                expect(onError.firstCall.args[0].context).to.deep.equal({ source: 'history' });
+            });
+    });
+
+    it('should upload the files and report their progress', () => {
+        const progress = sinon.spy();
+        const uploaded = sinon.spy();
+        const uploadInstance = createInstance(simulator, { fileUploadsActive: true });
+        const uploadBot = new FakeBot();
+        uploadInstance.build()(uploadBot);
+        uploadInstance.events.on('media:upload-progress', progress);
+        uploadInstance.events.on('media:uploaded', uploaded);
+
+        return uploadBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                uploadBot.uploadFile({ name: 'invoice.pdf', type: 'application/pdf', size: 1000 });
+                const messageId = uploadBot.getMessages('user').pop().id;
+                return flush().then(() => messageId);
+            })
+            .then((messageId) => {
+                expect(progress.args.map(args => args[0])).to.deep.equal([
+                    { messageId, fileName: 'invoice.pdf', loaded: 500, total: 1000, percentage: 50 },
+                    { messageId, fileName: 'invoice.pdf', loaded: 1000, total: 1000, percentage: 100 },
+                ]);
+                // only the actions the Chatbot SDK supports
+                expect(uploadBot.getCalls('updateMessage').map(update => update.action)).to.deep.equal(['WAITING_TICK', 'SINGLE_TICK', 'UPDATE_EXTERNAL']);
+                expect(uploaded.firstCall.args[0]).to.deep.equal({ messageId, fileName: 'invoice.pdf', mediaId: 'media-1' });
+                expect(simulator.getChat().messages.filter(message => message.type === 'media')).to.have.lengthOf(1);
+            });
+    });
+
+    it('should not upload the files rejected by the validation', () => {
+        const failed = sinon.spy();
+        const uploadInstance = createInstance(simulator, { fileUploadsActive: true, fileUploadsMaxSize: 1048576 });
+        const uploadBot = new FakeBot();
+        uploadInstance.build()(uploadBot);
+        uploadInstance.events.on('media:upload-failed', failed);
+
+        return uploadBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                uploadBot.uploadFile({ name: 'invoice.pdf', type: 'application/pdf', size: 2097152 });
+                return flush();
+            })
+            .then(() => {
+                const messageId = uploadBot.getMessages('user').pop().id;
+                expect(failed.calledWith({ messageId, fileName: 'invoice.pdf', reason: 'rejected', error: null })).to.be.true;
+                expect(uploadBot.getCalls('updateMessage')).to.deep.include({ id: messageId, action: 'ERROR_TICK' });
+                expect(uploadBot.findSystemMessage('file-too-large').data.replacements).to.deep.equal({ maxSize: 1 });
+                expect(simulator.getChat().messages).to.be.empty;
+            });
+    });
+
+    it('should cancel the uploads whose request can be aborted', () => {
+        const failed = sinon.spy();
+        const abortable = new HyperChatSimulator({ agents: { 1: 1 }, abortableUploads: true });
+        const uploadInstance = createInstance(abortable, { fileUploadsActive: true });
+        const uploadBot = new FakeBot();
+        uploadInstance.build()(uploadBot);
+        uploadInstance.events.on('media:upload-failed', failed);
+
+        return uploadBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                uploadBot.uploadFile({ name: 'invoice.pdf', type: 'application/pdf', size: 1000 });
+                const messageId = uploadBot.getMessages('user').pop().id;
+                expect(uploadInstance.cancelUpload(messageId)).to.be.true;
+                return flush();
+            })
+            .then(() => {
+                const messageId = uploadBot.getMessages('user').pop().id;
+                expect(failed.firstCall.args[0]).to.deep.include({ messageId, fileName: 'invoice.pdf', reason: 'cancelled' });
+                expect(failed.firstCall.args[0].error.cancelled).to.be.true;
+                expect(uploadBot.findSystemMessage('upload-cancelled')).to.exist;
+                expect(abortable.getChat().messages.filter(message => message.type === 'media')).to.be.empty;
+            });
+    });
+
+    it('should ignore the uploads that can not be aborted and tell the agent to ignore the file', () => {
+        const failed = sinon.spy();
+        const uploaded = sinon.spy();
+        const uploadInstance = createInstance(simulator, { fileUploadsActive: true });
+        const uploadBot = new FakeBot();
+        uploadInstance.build()(uploadBot);
+        uploadInstance.events.on('media:upload-failed', failed);
+        uploadInstance.events.on('media:uploaded', uploaded);
+
+        return uploadBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                uploadBot.uploadFile({ name: 'invoice.pdf', type: 'application/pdf', size: 1000 });
+                const messageId = uploadBot.getMessages('user').pop().id;
+                expect(uploadInstance.cancelUpload(messageId)).to.be.true;
+                expect(uploadInstance.cancelUpload(messageId)).to.be.false;
+                return flush();
+            })
+            .then(() => {
+                expect(failed.firstCall.args[0]).to.deep.include({ fileName: 'invoice.pdf', reason: 'cancelled' });
+                expect(uploaded.called).to.be.false;
+                expect(uploadBot.findSystemMessage('upload-cancelled')).to.exist;
+                const messages = simulator.getChat().messages;
+                expect(messages.map(message => message.type)).to.deep.equal(['media', 'system']);
+                expect(messages[1].message).to.contain('invoice.pdf');
+            });
+    });
+
+    it('should send the messages to the bot when there is no chat', () => {
+        bot.userSends('Hello bot');
+        expect(bot.botMessages.map(message => message.message)).to.deep.equal(['Hello bot']);
+    });
+
+    it('should change the agent when the chat is intervened', () => {
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins();
+                simulator.agentIntervenes({ id: 'supervisor', name: 'Sam' });
+                expect(instance.getChatInfo().agent.name).to.equal('Sam');
+                expect(bot.getCalls('setChatbotName').pop()).to.deep.equal({ source: 'name', name: 'Sam' });
+            });
+    });
+
+    it('should show the survey when the chat is converted to a ticket', () => {
+        const shown = sinon.spy();
+        const closedInstance = createInstance(simulator, { surveys: { id: 3 } });
+        const closedBot = new FakeBot();
+        closedInstance.build()(closedBot);
+        closedInstance.events.on('survey:shown', shown);
+
+        return closedBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins();
+                simulator.agentCreatesTicket('ticket-9');
+                return flush();
+            })
+            .then(() => {
+                expect(shown.calledWith({ ticketId: 'ticket-9', url: 'https://surveys.example.com/3' })).to.be.true;
+                expect(closedBot.findSystemMessage('chat-closed')).to.exist;
+                expect(closedInstance.isChatOpen()).to.be.false;
+            });
+    });
+
+    it('should show the offline form when there are no agents', () => {
+        simulator.setAvailableAgents(1, 0);
+        const offlineInstance = createInstance(simulator, { offlineTickets: {} });
+        const offlineBot = new FakeBot();
+        offlineInstance.build()(offlineBot);
+
+        // the escalation waits for the form to be answered
+        offlineBot.escalate({ FIRST_NAME: 'Jane' });
+        return flush()
+            .then(() => {
+                expect(simulator.getChat()).to.be.null;
+                expect(offlineBot.findSystemMessage('no-agents')).to.exist;
+                expect(offlineBot.getCalls('showCustomConversationWindow')).to.have.lengthOf(1);
+            });
+    });
+
+    it('should send the message left in the offline form as a ticket', () => {
+        const created = sinon.spy();
+        simulator.setAvailableAgents(1, 0);
+        const offlineInstance = createInstance(simulator, { offlineTickets: {} });
+        const offlineBot = new FakeBot();
+        offlineInstance.build()(offlineBot);
+        offlineInstance.events.on('ticket:created', created);
+
+        const escalation = offlineBot.escalate({ FIRST_NAME: 'Jane', LAST_NAME: 'Doe', EMAIL_ADDRESS: 'jane@example.com' });
+        return flush()
+            .then(() => {
+                // the form is filled with the escalation data
+                expect(offlineBot.getCalls('showCustomConversationWindow')[0].content).to.contain('jane@example.com');
+
+                submitForm('inbenta-hc-offline-form-test', { name: 'Jane Doe', email: 'jane@example.com', message: 'Call me back' });
+                return escalation;
+            })
+            .then(flush)
+            .then(() => {
+                expect(simulator.user).to.include({ name: 'Jane Doe', contact: 'jane@example.com' });
+                expect(simulator.tickets).to.have.lengthOf(1);
+                expect(simulator.tickets[0]).to.include({ creator: simulator.user.id, message: 'Call me back', room: 1 });
+                expect(created.calledWith({ ticketId: 'ticket-1', room: 1 })).to.be.true;
+                const confirmation = offlineBot.findSystemMessage('offline-ticket-created');
+                expect(confirmation.data.replacements).to.deep.equal({ ticketId: 'ticket-1' });
+                expect(simulator.getChat()).to.be.null;
+            });
+    });
+
+    it('should keep apart the offline forms of several instances', () => {
+        simulator.setAvailableAgents(1, 0);
+        const salesBot = new FakeBot();
+        const supportBot = new FakeBot();
+        createInstance(simulator, { instanceId: 'sales', offlineTickets: {} }).build()(salesBot);
+        createInstance(simulator, { instanceId: 'support', offlineTickets: {} }).build()(supportBot);
+
+        const escalation = salesBot.escalate({ FIRST_NAME: 'Jane' });
+        supportBot.escalate({ FIRST_NAME: 'Jane' });
+        return flush()
+            .then(() => {
+                expect(salesBot.getCalls('showCustomConversationWindow')[0].content).to.contain('id="inbenta-hc-offline-form-sales"');
+                expect(supportBot.getCalls('showCustomConversationWindow')[0].content).to.contain('id="inbenta-hc-offline-form-support"');
+
+                submitForm('inbenta-hc-offline-form-sales', { name: 'Jane', email: 'jane@example.com', message: 'Call me back' });
+                return escalation;
+            })
+            .then(flush)
+            .then(() => {
+                expect(simulator.tickets).to.have.lengthOf(1);
+                expect(salesBot.findSystemMessage('offline-ticket-created')).to.exist;
+                expect(supportBot.findSystemMessage('offline-ticket-created')).to.not.exist;
+                expect(supportBot.getCalls('hideCustomConversationWindow')).to.be.empty;
+            });
+    });
+
+    it('should tell the user when the message left in the offline form can not be sent', () => {
+        simulator.setAvailableAgents(1, 0);
+        const offlineInstance = createInstance(simulator, { offlineTickets: {} });
+        const offlineBot = new FakeBot();
+        offlineInstance.build()(offlineBot);
+        simulator.failNext('POST /tickets');
+
+        const escalation = offlineBot.escalate({ FIRST_NAME: 'Jane' });
+        return flush()
+            .then(() => {
+                submitForm('inbenta-hc-offline-form-test', { name: 'Jane', email: 'jane@example.com', message: 'Call me back' });
+                return escalation;
+            })
+            .then(flush)
+            .then(() => {
+                expect(simulator.tickets).to.be.empty;
+                expect(offlineBot.findSystemMessage('offline-ticket-error')).to.exist;
+            });
+    });
+
+    it('should not load the SDK nor open a chat outside the working hours', () => {
+        const today = new Date().toISOString().slice(0, 10);
+        simulator.icf.isInit = false;
+        const closedBot = new FakeBot();
+        const api = createInstance(simulator, { workingTime: { timezone: 'UTC', holidays: [today] } }).build()(closedBot);
+
+        return api.startChat({ FIRST_NAME: 'Jane' })
+            .then((outcome) => {
+                expect(outcome).to.deep.equal({ status: 'unavailable', reason: 'outside-hours' });
+                expect(simulator.icf.isInit).to.be.false;
+                expect(simulator.getChat()).to.be.null;
+                expect(api.getChatState()).to.equal('idle');
+                expect(closedBot.findSystemMessage('no-agents')).to.exist;
+                expect(closedBot.inputEnabled).to.be.true;
+            });
+    });
+
+    it('should not open a chat when there are no agents and the offline form is not configured', () => {
+        simulator.setAvailableAgents(1, 0);
+
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                expect(simulator.getChat()).to.be.null;
+                expect(instance.getChatState()).to.equal('idle');
+                expect(bot.findSystemMessage('no-agents')).to.exist;
+                expect(bot.inputEnabled).to.be.true;
+                return instance.startChat({ FIRST_NAME: 'Jane' });
+            })
+            .then((outcome) => {
+                expect(outcome).to.deep.equal({ status: 'unavailable', reason: 'no-agents' });
+                expect(simulator.getChat()).to.be.null;
+            });
+    });
+
+    it('should tell apart the reasons why the escalation conditions are not met', () => {
+        simulator.setAvailableAgents(1, 0);
+
+        return instance.checkEscalationConditions()
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: 'no-agents', room: 1 });
+                simulator.setAvailableAgents(1, 1);
+                simulator.failNext('GET /agents/available');
+                return instance.checkEscalationConditions();
+            })
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: false, reason: 'api-error', room: 1 });
+                expect(response.error.message).to.equal('Simulated failure');
+                simulator.failNext('GET /agents/available');
+                return instance.startChat({ FIRST_NAME: 'Jane' });
+            })
+            .then((outcome) => {
+                expect(outcome).to.deep.equal({ status: 'unavailable', reason: 'api-error' });
+                expect(simulator.getChat()).to.be.null;
+                return instance.checkEscalationConditions();
+            })
+            .then((response) => {
+                expect(response).to.deep.include({ agentsAvailable: true, room: 1 });
+            });
     });
 
+    it('should restore the chat and show the messages missed during the reload', () => {
+        const restored = sinon.spy();
+
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins({ id: 'agent-7', name: 'Ann' });
+                // the agent writes while the page reloads
+                simulator.getChat()._addMessage('agent-7', 'Are you there?', 'text');
+
+                const reloadedBot = new FakeBot();
+                const reloaded = createInstance(simulator, {}, storage);
+                reloaded.build()(reloadedBot);
+                reloaded.events.on('chat:restored', restored);
+                bot = reloadedBot;
+                return reloadedBot.ready();
+            })
+            .then(flush)
+            .then(() => {
+                expect(restored.calledOnce).to.be.true;
+                expect(bot.getCalls('enableInput')).to.have.lengthOf(1);
+                expect(restored.firstCall.args[0].agent).to.deep.equal({ id: 'agent-7', name: 'Ann' });
+                expect(bot.getMessages('answer').map(message => message.message)).to.deep.equal(['Are you there?']);
+            });
+    });
+
+    it('should restore the chat from the storage when the cookies are blocked', () => {
+        uninstallBrowser();
+        installBrowser({ blockCookies: true });
+        const restored = sinon.spy();
+
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins({ id: 'agent-7', name: 'Ann' });
+                simulator.reload();
+
+                const reloadedBot = new FakeBot();
+                const reloaded = createInstance(simulator, {}, storage);
+                reloaded.build()(reloadedBot);
+                reloaded.events.on('chat:restored', restored);
+                instance = reloaded;
+                bot = reloadedBot;
+                return reloadedBot.ready();
+            })
+            .then(flush)
+            .then(() => {
+                expect(restored.calledOnce).to.be.true;
+                expect(instance.getChatState()).to.equal('active');
+                expect(instance.getChatInfo().chatId).to.equal('chat-1');
+
+                simulator.agentSends('Welcome back', { id: 'agent-7', name: 'Ann' });
+                return flush();
+            })
+            .then(() => {
+                expect(bot.getMessages('answer').map(message => message.message)).to.deep.equal(['Welcome back']);
+            });
+    });
+
+    it('should restore the chat from the SDK session when the storage is lost on reload', () => {
+        const restored = sinon.spy();
+        // the real storage with the "memory" backend, a new one is empty like after a reload
+        const createMemoryInstance = () => {
+            const memoryInstance = createInstance(simulator, { storage: 'memory' });
+            memoryInstance.storage = new Storage(memoryInstance.conf);
+            return memoryInstance;
+        };
+        const memoryBot = new FakeBot();
+        createMemoryInstance().build()(memoryBot);
+
+        return memoryBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins({ id: 'agent-7', name: 'Ann' });
+                simulator.getChat()._addMessage('agent-7', 'Are you there?', 'text');
+                simulator.reload();
+
+                const reloadedBot = new FakeBot();
+                const reloaded = createMemoryInstance();
+                reloaded.build()(reloadedBot);
+                reloaded.events.on('chat:restored', restored);
+                instance = reloaded;
+                bot = reloadedBot;
+                return reloadedBot.ready();
+            })
+            .then(flush)
+            .then(() => {
+                expect(restored.calledOnce).to.be.true;
+                expect(instance.getChatState()).to.equal('active');
+                expect(instance.getChatInfo().chatId).to.equal('chat-1');
+                expect(bot.getMessages('answer').map(message => message.message)).to.deep.equal(['Are you there?']);
+            });
+    });
+
+    it('should use the chat cookie to know if a chat is open when no state was stored', () => {
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                // a chat opened before the state was stored, or with a storage that didn't survive the reload
+                const reloaded = createInstance(simulator, {}, createStorage());
+                reloaded.build()(new FakeBot());
+                expect(reloaded.isChatOpen()).to.be.true;
+
+                // the stored state wins over the cookie, that stays until the SDK closes the session
+                simulator.agentCloses();
+                return flush();
+            })
+            .then(() => {
+                const reloadedBot = new FakeBot();
+                const reloaded = createInstance(simulator, {}, storage);
+                reloaded.build()(reloadedBot);
+                return reloadedBot.ready()
+                    .then(() => {
+                        expect(reloaded.isChatOpen()).to.be.false;
+                    });
+            });
+    });
+
+    it('should report the chat states that could not be stored', () => {
+        const onError = sinon.spy();
+        const failingStorage = createStorage();
+        const setItem = failingStorage.setItem;
+        failingStorage.setItem = (key, value) => (key === 'chatState' ? Promise.reject(new Error('Quota exceeded')) : setItem(key, value));
+        const failingInstance = createInstance(simulator, { onError }, failingStorage);
+        const failingBot = new FakeBot();
+        failingInstance.build()(failingBot);
+
+        return failingBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(flush)
+            .then(() => {
+                expect(failingInstance.getChatState()).to.equal('queued');
+                expect(onError.called).to.be.true;
+                expect(onError.firstCall.args[0].code).to.equal('session-failed');
+                expect(onError.firstCall.args[0].context).to.deep.equal({ state: 'connecting', chatId: null });
+            });
+    });
+
+    it('should hold the messages while the browser is offline and show the missed ones on reconnection', () => {
+        const lost = sinon.spy();
+        const restored = sinon.spy();
+        const onError = sinon.spy();
+        const offlineInstance = createInstance(simulator, { onError });
+        const offlineBot = new FakeBot();
+        offlineInstance.build()(offlineBot);
+        offlineInstance.events.on('connection:lost', lost);
+        offlineInstance.events.on('connection:restored', restored);
+
+        return offlineBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins({ id: 'agent-7', name: 'Ann' });
+                simulator.disconnect();
+                window.dispatch('offline', {});
+                expect(lost.calledWith({ chatId: 'chat-1', source: 'browser' })).to.be.true;
+                expect(offlineBot.inputEnabled).to.be.false;
+                expect(offlineBot.findSystemMessage('connection-lost')).to.exist;
+
+                // the message waits in the outbox without being tried
+                offlineBot.userSends('Hello?');
+                return flush();
+            })
+            .then(() => {
+                expect(onError.called).to.be.false;
+                const userMessageId = offlineBot.getMessages('user')[0].id;
+                expect(offlineBot.getCalls('updateMessage')).to.deep.include({ id: userMessageId, action: 'WAITING_TICK' });
+
+                simulator.agentSends('Are you still there?', { id: 'agent-7', name: 'Ann' });
+                return flush();
+            })
+            .then(() => {
+                expect(simulator.getChat().messages.map(message => message.message)).to.deep.equal(['Are you still there?']);
+                expect(offlineBot.getMessages('answer')).to.be.empty;
+
+                simulator.reconnect();
+                window.dispatch('online', {});
+                return flush();
+            })
+            .then(() => {
+                expect(restored.calledWith({ chatId: 'chat-1', source: 'browser', missedMessages: 1 })).to.be.true;
+                expect(offlineBot.inputEnabled).to.be.true;
+                expect(offlineBot.findSystemMessage('connection-restored')).to.exist;
+                expect(offlineBot.getMessages('answer').map(message => message.message)).to.deep.equal(['Are you still there?']);
+                const sent = simulator.getChat().messages.filter(message => message.sender === simulator.user.id);
+                expect(sent.map(message => message.message)).to.deep.equal(['Hello?']);
+            });
+    });
+
+    it('should detect a drop of the chat connection while the browser stays online', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        const lost = sinon.spy();
+        const restored = sinon.spy();
+        const onError = sinon.spy();
+        const socketInstance = createInstance(simulator, { onError });
+        const socketBot = new FakeBot();
+        socketInstance.build()(socketBot);
+        socketInstance.events.on('connection:lost', lost);
+        socketInstance.events.on('connection:restored', restored);
+
+        const escalation = socketBot.escalate({ FIRST_NAME: 'Jane' });
+        return flushPromises()
+            .then(() => escalation)
+            .then(() => {
+                simulator.agentJoins({ id: 'agent-7', name: 'Ann' });
+                // no "offline" event, the only sign of the drop is the message that can't be sent
+                simulator.disconnect();
+                socketBot.userSends('Hello?');
+                return flushPromises();
+            })
+            .then(() => {
+                expect(onError.firstCall.args[0].code).to.equal('message-send-failed');
+                expect(lost.calledWith({ chatId: 'chat-1', source: 'message' })).to.be.true;
+                expect(socketBot.inputEnabled).to.be.false;
+                expect(socketBot.findSystemMessage('connection-lost')).to.exist;
+                const userMessageId = socketBot.getMessages('user')[0].id;
+                expect(socketBot.getCalls('updateMessage')).to.deep.include({ id: userMessageId, action: 'ERROR_TICK' });
+
+                simulator.agentSends('Are you still there?', { id: 'agent-7', name: 'Ann' });
+                simulator.reconnect();
+                // the outbox retries by itself
+                clock.tick(1000);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(restored.calledWith({ chatId: 'chat-1', source: 'message', missedMessages: 1 })).to.be.true;
+                expect(socketBot.inputEnabled).to.be.true;
+                expect(socketBot.findSystemMessage('connection-restored')).to.exist;
+                expect(socketBot.getMessages('answer').map(message => message.message)).to.deep.equal(['Are you still there?']);
+                const sent = simulator.getChat().messages.filter(message => message.sender === simulator.user.id);
+                expect(sent.map(message => message.message)).to.deep.equal(['Hello?']);
+            })
+            .then(() => clock.restore(), (err) => {
+                clock.restore();
+                throw err;
+            });
+    });
+
+    it('should only flag the chat as offline when the input is configured to stay enabled', () => {
+        const flagInstance = createInstance(simulator, { offlineInput: 'flag' });
+        const flagBot = new FakeBot();
+        flagInstance.build()(flagBot);
+
+        return flagBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                window.dispatch('offline', {});
+                expect(flagBot.findSystemMessage('connection-lost')).to.exist;
+                expect(flagBot.getCalls('disableInput')).to.have.lengthOf(1);
+                expect(flagBot.inputEnabled).to.be.true;
+
+                window.dispatch('online', {});
+                return flush();
+            })
+            .then(() => {
+                expect(flagBot.findSystemMessage('connection-restored')).to.exist;
+            });
+    });
+
+    it('should display the queue position only when it changes', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        const updated = sinon.spy();
+        const positions = [2, 2, 1];
+        const queueInstance = createInstance(simulator, { queueUpdates: { interval: 10, getPosition: () => positions.shift() } });
+        const queueBot = new FakeBot();
+        queueInstance.build()(queueBot);
+        queueInstance.events.on('queue:updated', updated);
+
+        const escalation = queueBot.escalate({ FIRST_NAME: 'Jane' });
+        return flushPromises()
+            .then(() => escalation)
+            .then(flushPromises)
+            .then(() => {
+                clock.tick(10000);
+                return flushPromises();
+            })
+            .then(() => {
+                clock.tick(10000);
+                return flushPromises();
+            })
+            .then(() => {
+                const queueMessages = queueBot.getMessages('system').filter(message => message.message === 'queue-position');
+                expect(queueMessages.map(message => message.data.replacements)).to.deep.equal([{ position: 2 }, { position: 1 }]);
+                expect(queueBot.getCalls('updateMessage').filter(update => update.action === 'UPDATE_CONTENT')).to.be.empty;
+
+                // every update is triggered, even if nothing changed
+                const updates = updated.args.map(args => args[0]);
+                expect(updates.map(update => update.position)).to.deep.equal([2, 2, 1]);
+                expect(updates[0]).to.include({ chatId: 'chat-1', room: 1, agentsAvailable: 1 });
+                expect(updates[0]).to.have.all.keys('chatId', 'room', 'position', 'agentsAvailable', 'estimatedWait', 'waitingTime');
+            })
+            .then(() => clock.restore(), (err) => {
+                clock.restore();
+                throw err;
+            });
+    });
+
+    it('should warn the inactive user and close the chat with a reason for the agent', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        const closed = sinon.spy();
+        const inactiveInstance = createInstance(simulator, { inactivity: { warnAfter: 5, closeAfter: 1 } });
+        const inactiveBot = new FakeBot();
+        inactiveInstance.build()(inactiveBot);
+        inactiveInstance.events.on('chat:closed', closed);
+
+        const escalation = inactiveBot.escalate({ FIRST_NAME: 'Jane' });
+        return flushPromises()
+            .then(() => escalation)
+            .then(() => {
+                simulator.agentJoins();
+                return flushPromises();
+            })
+            .then(() => {
+                clock.tick(5 * 60000);
+                const warning = inactiveBot.findSystemMessage('inactivity-warning');
+                expect(warning.data.replacements).to.deep.equal({ minutes: 1 });
+                expect(warning.data.options.map(option => option.value)).to.deep.equal(['stay', 'close']);
+
+                // the user is still there
+                inactiveBot.selectOption('inactivityWarning', { value: 'stay' });
+                clock.tick(60000);
+                expect(inactiveInstance.isChatOpen()).to.be.true;
+
+                clock.tick(5 * 60000);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(inactiveInstance.isChatOpen()).to.be.false;
+                // the reason is a system message of the chat, not a message of the user
+                const lastMessage = simulator.chats['chat-1'].messages.slice(-1)[0];
+                expect(lastMessage).to.include({ type: 'system', sender: 'system', message: 'The chat was closed because the user was inactive' });
+                expect(closed.firstCall.args[0].reason).to.equal('The chat was closed because the user was inactive');
+            })
+            .then(() => clock.restore(), (err) => {
+                clock.restore();
+                throw err;
+            });
+    });
+
+    it('should ask the pre-chat form and remember the answers for the next chat', () => {
+        const preChatStorage = createStorage();
+        const preChatInstance = createInstance(simulator, {
+            preChatForm: {
+                fields: [
+                    { name: 'firstName', label: 'First name', required: true, mapTo: 'name' },
+                    { name: 'lastName', label: 'Last name', mapTo: 'name' },
+                    { name: 'email', label: 'Email', required: true, validator: 'email', mapTo: 'contact' },
+                    { name: 'phone', label: 'Phone', type: 'tel', validator: 'phone' },
+                ],
+            },
+        }, preChatStorage);
+        const preChatBot = new FakeBot();
+        preChatInstance.build()(preChatBot);
+
+        const submit = values => submitForm('inbenta-hc-prechat-form-test', values);
+
+        // the first form is closed without its buttons, like when another window replaces it
+        preChatBot.escalate({});
+        let escalation;
+        return flush()
+            .then(() => {
+                preChatBot.actions.hideCustomConversationWindow();
+                escalation = preChatBot.escalate({ FIRST_NAME: 'Jane' });
+                return flush();
+            })
+            .then(() => {
+                expect(preChatInstance.getChatState()).to.equal('idle');
+                expect(preChatBot.getCalls('showCustomConversationWindow')).to.have.lengthOf(2);
+                const form = preChatBot.getCalls('showCustomConversationWindow').pop();
+                expect(form.content).to.contain('value="Jane"');
+
+                submit({ firstName: 'Jane', lastName: 'Doe', email: 'jane@', phone: '' });
+                expect(preChatBot.getCalls('showCustomConversationWindow').pop().content).to.contain('This value is not valid');
+
+                submit({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', phone: '+1 555 0100' });
+                return escalation;
+            })
+            .then(() => {
+                expect(simulator.user.name).to.equal('Jane Doe');
+                expect(simulator.user.contact).to.equal('jane@example.com');
+                expect(simulator.user.extraInfo).to.deep.equal({ phone: '+1 555 0100' });
+                // the answers are not kept in the persistent storage
+                expect(Object.keys(preChatStorage.data).filter(key => /preChat/.test(key))).to.be.empty;
+
+                simulator.agentCloses();
+                return flush();
+            })
+            .then(() => preChatBot.escalate({}))
+            .then(() => {
+                // the second chat doesn't ask again
+                expect(preChatBot.getCalls('showCustomConversationWindow')).to.have.lengthOf(3);
+                expect(simulator.getChat().id).to.equal('chat-2');
+                expect(simulator.user.name).to.equal('Jane Doe');
+            });
+    });
+
+    it('should only let one instance of the same SDK chat at a time and keep their lobby events apart', () => {
+        const onError = sinon.spy();
+        const sales = createInstance(simulator, { instanceId: 'sales', onError });
+        const support = createInstance(simulator, { instanceId: 'support', onError });
+        const salesBot = new FakeBot();
+        const supportBot = new FakeBot();
+        sales.build()(salesBot);
+        support.build()(supportBot);
+
+        return salesBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => supportBot.escalate({ FIRST_NAME: 'John' }))
+            .then(() => {
+                expect(onError.firstCall.args[0].message).to.contain('only one chat is allowed at a time');
+                expect(support.getChatState()).to.equal('idle');
+                expect(sales.getChatState()).to.equal('queued');
+
+                simulator.agentCloses();
+                return supportBot.escalate({ FIRST_NAME: 'John' });
+            })
+            .then(() => {
+                expect(support.getChatInfo().chatId).to.equal('chat-2');
+                // the sales instance doesn't close the session the support one uses
+                sales.liveAdapter.clearLobby();
+                expect(simulator.icf.Lobby.logged).to.be.true;
+
+                // the ticket of the support chat doesn't affect the closed sales chat
+                simulator.agentCreatesTicket('ticket-1');
+                expect(salesBot.getMessages('system').filter(message => message.message === 'chat-closed')).to.be.empty;
+                expect(supportBot.findSystemMessage('chat-closed')).to.exist;
+            });
+    });
+
+    it('should go through the chat states and persist them', () => {
+        const states = [];
+        instance.events.on('chat:state-changed', change => states.push(change.state));
+
+        const escalation = bot.escalate({ FIRST_NAME: 'Jane' });
+        expect(instance.getChatState()).to.equal('connecting');
+
+        return escalation
+            .then(() => {
+                expect(instance.getChatInfo().state).to.equal('queued');
+                simulator.agentJoins();
+                return instance.closeChat();
+            })
+            .then(flush)
+            .then(() => {
+                expect(states).to.deep.equal(['connecting', 'queued', 'active', 'closing', 'closed']);
+                expect(storage.data.chatState).to.deep.equal({ state: 'closed', chatId: 'chat-1' });
+                expect(instance.isChatOpen()).to.be.false;
+            });
+    });
+
+    it('should start and close the chat with the control API and tell how it went', () => {
+        const onError = sinon.spy();
+        const apiInstance = createInstance(simulator, { onError });
+        const api = apiInstance.build()(new FakeBot());
+        simulator.failNext('chat:init');
+
+        return api.startChat({ FIRST_NAME: 'Jane' })
+            .then((outcome) => {
+                expect(outcome.status).to.equal('failed');
+                expect(outcome.error).to.equal(onError.firstCall.args[0]);
+                return api.startChat({ FIRST_NAME: 'Jane' });
+            })
+            .then((outcome) => {
+                expect(outcome).to.deep.equal({ status: 'started', chatId: api.getChatInfo().chatId });
+                expect(api.isChatOpen()).to.be.true;
+                return api.startChat({ FIRST_NAME: 'Jane' });
+            })
+            .then((outcome) => {
+                expect(outcome).to.deep.equal({ status: 'ignored' });
+                return api.closeChat();
+            })
+            .then(() => {
+                expect(api.getChatState()).to.equal('closed');
+                return api.closeChat().then(() => {
+                    throw new Error('closeChat should have failed');
+                }, (err) => {
+                    expect(err.message).to.equal('No open chat');
+                });
+            });
+    });
+
+    it('should tell why the chat could not be started with the control API', () => {
+        const api = createInstance(simulator, { room: () => [] }).build()(new FakeBot());
+        const offlineApi = createInstance(simulator, { offlineTickets: {} }).build()(new FakeBot());
+        simulator.setAvailableAgents(1, 0);
+
+        return api.startChat({ FIRST_NAME: 'Jane' })
+            .then((outcome) => {
+                expect(outcome).to.deep.equal({ status: 'unavailable', reason: 'misconfigured' });
+                expect(api.getChatState()).to.equal('idle');
+
+                // the outcome comes once the offline form is closed
+                const offlineOutcome = offlineApi.startChat({ FIRST_NAME: 'Jane' });
+                return flush()
+                    .then(() => {
+                        const target = { getAttribute: () => 'inbenta-hc-offline-form-test' };
+                        document.dispatch('click', { target, preventDefault: () => {} });
+                        return offlineOutcome;
+                    });
+            })
+            .then((outcome) => {
+                expect(outcome).to.deep.equal({ status: 'offline', reason: 'no-agents' });
+                expect(simulator.getChat()).to.be.null;
+            });
+    });
+
+    it('should report the failures closing the chat from its close option', () => {
+        const onError = sinon.spy();
+        const closingInstance = createInstance(simulator, { onError });
+        const closingBot = new FakeBot();
+        closingInstance.build()(closingBot);
+
+        return closingBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.failNext('chat:close');
+                closingBot.selectOption('exitConversation', { value: 'yes' });
+                return flush();
+            })
+            .then(() => {
+                expect(onError.firstCall.args[0].message).to.equal('Chat could not be closed');
+                expect(closingInstance.getChatState()).to.equal('queued');
+            });
+    });
+
+    it('should send the messages written while connecting once the chat is created', () => {
+        const escalation = bot.escalate({ FIRST_NAME: 'Jane' });
+        bot.userSends('Are you there?');
+        expect(bot.botMessages).to.be.empty;
+
+        return escalation
+            .then(flush)
+            .then(() => {
+                const sent = simulator.getChat().messages.map(message => message.message);
+                expect(sent).to.deep.equal(['Are you there?']);
+            });
+    });
+
+    it('should send the messages written while closing to the bot', () => {
+        const onError = sinon.spy();
+        const closingInstance = createInstance(simulator, { onError });
+        const closingBot = new FakeBot();
+        closingInstance.build()(closingBot);
+
+        return closingBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentJoins();
+                simulator.failNext('chat:close');
+                const closing = closingInstance.closeChat();
+                closingBot.userSends('Thanks!');
+                expect(closingBot.botMessages.map(message => message.message)).to.deep.equal(['Thanks!']);
+                return closing.catch(() => {});
+            })
+            .then(() => {
+                // the chat is still open when it can't be closed
+                expect(closingInstance.getChatState()).to.equal('active');
+                expect(onError.firstCall.args[0].message).to.equal('Chat could not be closed');
+            });
+    });
+
+    it('should report the errors with the error event, and only show the default message without onError', () => {
+        const consoleError = sinon.stub(console, 'error');
+        const errorListener = sinon.spy();
+        const failed = sinon.spy();
+        instance.events.on('error', errorListener);
+        instance.events.on('escalation:failed', failed);
+        simulator.failNext('chat:init');
+
+        const onError = sinon.spy();
+        const hookInstance = createInstance(simulator, { onError });
+        const hookBot = new FakeBot();
+        hookInstance.build()(hookBot);
+
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                consoleError.restore();
+                const error = errorListener.firstCall.args[0];
+                expect(error).to.be.an.instanceof(ChatCreationError);
+                expect(error.cause).to.be.an.instanceof(Error);
+                expect(failed.firstCall.args[0]).to.deep.equal({ error });
+                // nothing is logged, the page decides what to do with the errors
+                expect(consoleError.called).to.be.false;
+                expect(bot.findSystemMessage('escalation-error')).to.exist;
+
+                simulator.failNext('chat:init');
+                return hookBot.escalate({ FIRST_NAME: 'Jane' });
+            }, (err) => {
+                consoleError.restore();
+                throw err;
+            })
+            .then(() => {
+                expect(onError.firstCall.args[0]).to.be.an.instanceof(ChatCreationError);
+                expect(hookBot.findSystemMessage('escalation-error')).to.not.exist;
+            });
+    });
+
+    it('should close the created chat when the escalation fails afterwards', () => {
+        const onError = sinon.spy();
+        const failedInstance = createInstance(simulator, { onError });
+        const failedBot = new FakeBot();
+        failedInstance.build()(failedBot);
+        simulator.failNext('chat:searchAgent');
+
+        return failedBot.escalate({ FIRST_NAME: 'Jane' })
+            .then(flush)
+            .then(() => {
+                expect(onError.calledOnce).to.be.true;
+                expect(failedInstance.getChatState()).to.equal('closed');
+                expect(failedInstance.isChatOpen()).to.be.false;
+                expect(simulator.chats['chat-1'].closed).to.be.true;
+
+                failedBot.userSends('Hello?');
+                expect(failedBot.botMessages.map(message => message.message)).to.deep.equal(['Hello?']);
+                return failedBot.escalate({ FIRST_NAME: 'Jane' });
+            })
+            .then(() => {
+                expect(failedInstance.getChatState()).to.equal('queued');
+                expect(simulator.getChat().id).to.equal('chat-2');
+            });
+    });
+
+    it('should not restore a chat that was closed', () => {
+        return bot.escalate({ FIRST_NAME: 'Jane' })
+            .then(() => {
+                simulator.agentCloses();
+                const reloadedBot = new FakeBot();
+                const reloaded = createInstance(simulator, {}, storage);
+                reloaded.build()(reloadedBot);
+                return reloadedBot.ready()
+                    .then(() => {
+                        expect(reloaded.getChatState()).to.equal('closed');
+                        expect(reloadedBot.getCalls('disableInput')).to.be.empty;
+                    });
+            });
+    });
 });
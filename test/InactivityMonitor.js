@@ -0,0 +1,104 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import InactivityMonitor from './../lib/InactivityMonitor.js';
+import { createStorage } from './mockups/browser.js';
+
+describe('InactivityMonitor', () => {
+    let clock, storage, warning, timeout;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        storage = createStorage();
+        warning = sinon.spy();
+        timeout = sinon.spy();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    const createMonitor = () => new InactivityMonitor({ warnAfter: 5, closeAfter: 2 }, storage, warning, timeout);
+
+    it('should warn and then time out when there is no activity', () => {
+        const monitor = createMonitor();
+
+        return monitor.start('chat-1')
+            .then(() => {
+                clock.tick(5 * 60000 - 1);
+                expect(warning.called).to.be.false;
+                clock.tick(1);
+                expect(warning.calledWith({ chatId: 'chat-1', closeAfter: 2 })).to.be.true;
+
+                clock.tick(2 * 60000);
+                expect(timeout.calledOnce).to.be.true;
+            });
+    });
+
+    it('should restart the countdown with the user activity', () => {
+        const monitor = createMonitor();
+
+        return monitor.start('chat-1')
+            .then(() => {
+                clock.tick(5 * 60000);
+                monitor.activity();
+                clock.tick(2 * 60000);
+                expect(timeout.called).to.be.false;
+
+                clock.tick(3 * 60000);
+                expect(warning.calledTwice).to.be.true;
+            });
+    });
+
+    it('should go on with the countdown of the same chat after a reload', () => {
+        const monitor = createMonitor();
+
+        return monitor.start('chat-1')
+            .then(() => {
+                clock.tick(6 * 60000);
+                expect(warning.calledOnce).to.be.true;
+                monitor._clearTimer();
+
+                const reloaded = createMonitor();
+                return reloaded.start('chat-1');
+            })
+            .then(() => {
+                clock.tick(60000);
+                // it was already warned before the reload
+                expect(warning.calledOnce).to.be.true;
+                expect(timeout.calledOnce).to.be.true;
+            });
+    });
+
+    it('should start from scratch with another chat and forget the countdown when stopped', () => {
+        const monitor = createMonitor();
+
+        return monitor.start('chat-1')
+            .then(() => {
+                clock.tick(4 * 60000);
+                return monitor.start('chat-2');
+            })
+            .then(() => {
+                clock.tick(4 * 60000);
+                expect(warning.called).to.be.false;
+                return monitor.stop();
+            })
+            .then(() => {
+                clock.tick(60 * 60000);
+                expect(warning.called).to.be.false;
+                expect(storage.data).to.not.have.property('inactivity');
+            });
+    });
+
+    it('should do nothing when it is not configured', () => {
+        const monitor = new InactivityMonitor({}, storage, warning, timeout);
+
+        return monitor.start('chat-1')
+            .then(() => {
+                monitor.activity();
+                clock.tick(60 * 60000);
+                expect(monitor.isRunning()).to.be.false;
+                expect(warning.called).to.be.false;
+            });
+    });
+});
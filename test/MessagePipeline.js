@@ -0,0 +1,47 @@
+import { expect } from 'chai';
+
+import MessagePipeline from './../lib/MessagePipeline.js';
+
+describe('MessagePipeline run', () => {
+
+    it('should pass the message through every middleware in order', () => {
+        const pipeline = new MessagePipeline([
+            (message) => { message.message += ' sync'; },
+            (message) => Promise.resolve({ message: message.message + ' async', metadata: message.metadata }),
+            (message, context) => { message.metadata.direction = context.direction; },
+        ]);
+
+        return pipeline.run({ message: 'hi' }, { direction: 'outbound' })
+            .then((result) => {
+                expect(result.message).to.equal('hi sync async');
+                expect(result.metadata).to.deep.equal({ direction: 'outbound' });
+            });
+    });
+
+    it('should stop the chain when a message is dropped', () => {
+        let called = false;
+        const pipeline = new MessagePipeline([
+            () => false,
+            () => { called = true; },
+        ]);
+
+        return pipeline.run({ message: 'hi' })
+            .then((result) => {
+                expect(result).to.be.null;
+                expect(called).to.be.false;
+            });
+    });
+
+    it('should stop the chain when a message is swapped for a system message', () => {
+        const pipeline = new MessagePipeline([
+            () => ({ type: 'system', message: 'message-blocked', translate: true }),
+            () => false,
+        ]);
+
+        return pipeline.run({ message: 'hi' })
+            .then((result) => {
+                expect(result).to.deep.equal({ type: 'system', message: 'message-blocked', translate: true });
+            });
+    });
+
+});
@@ -0,0 +1,146 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import MessageQueue from './../lib/MessageQueue.js';
+
+const createStorage = () => {
+    const data = {};
+    return {
+        getItem: (key) => Promise.resolve(data[key]),
+        setItem: (key, value) => {
+            data[key] = JSON.parse(JSON.stringify(value));
+            return Promise.resolve(value);
+        },
+        data,
+    };
+};
+
+describe('MessageQueue', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should send the messages in order and empty the storage', () => {
+        const storage = createStorage();
+        const sent = [];
+        const queue = new MessageQueue(storage, (item) => {
+            sent.push(item.id);
+            return Promise.resolve();
+        });
+
+        return queue.push({ id: 1, message: 'a', chatId: 'c' })
+            .then(() => queue.push({ id: 2, message: 'b', chatId: 'c' }))
+            .then(() => {
+                expect(sent).to.deep.equal([1, 2]);
+                expect(storage.data.outbox).to.deep.equal([]);
+            });
+    });
+
+    it('should keep the failed message and the next ones until the retry succeeds', () => {
+        const storage = createStorage();
+        const statuses = [];
+        let fail = true;
+        const queue = new MessageQueue(storage, () => {
+            return fail ? Promise.reject(new Error('offline')) : Promise.resolve();
+        }, (item, status) => {
+            statuses.push(item.id + ':' + status);
+        });
+
+        return queue.push({ id: 1, message: 'a', chatId: 'c' })
+            .then(() => queue.push({ id: 2, message: 'b', chatId: 'c' }))
+            .then(() => {
+                expect(storage.data.outbox.map(item => item.id)).to.deep.equal([1, 2]);
+                fail = false;
+                return queue.retry();
+            })
+            .then(() => {
+                expect(statuses).to.deep.equal(['1:pending', '1:error', '2:pending', '1:pending', '1:sent', '2:sent']);
+                expect(queue.hasPending()).to.be.false;
+            });
+    });
+
+    it('should keep retrying at the maximum delay until the message is sent', () => {
+        const storage = createStorage();
+        const statuses = [];
+        let failures = 7;
+        const queue = new MessageQueue(storage, () => {
+            return failures-- > 0 ? Promise.reject(new Error('offline')) : Promise.resolve();
+        }, (item, status) => {
+            statuses.push(status);
+        });
+        // let the retry that is due run, and its promise chain finish
+        const tick = (delay) => {
+            clock.tick(delay);
+            return Promise.resolve().then(() => {}).then(() => {}).then(() => {});
+        };
+
+        return queue.push({ id: 1, message: 'a', chatId: 'c' })
+            .then(() => tick(1000))
+            .then(() => tick(2000))
+            .then(() => tick(4000))
+            .then(() => tick(8000))
+            .then(() => tick(16000))
+            .then(() => tick(30000))
+            .then(() => {
+                expect(statuses.filter(status => status === 'error')).to.have.lengthOf(7);
+                expect(queue.hasPending()).to.be.true;
+                return tick(30000);
+            })
+            .then(() => {
+                expect(statuses[statuses.length - 1]).to.equal('sent');
+                expect(queue.hasPending()).to.be.false;
+                expect(storage.data.outbox).to.deep.equal([]);
+            });
+    });
+
+    it('should only drop the messages when the queue is cleared', () => {
+        const storage = createStorage();
+        const queue = new MessageQueue(storage, () => Promise.reject(new Error('offline')));
+
+        return queue.push({ id: 1, message: 'a', chatId: 'c' })
+            .then(() => queue.clear())
+            .then((removed) => {
+                expect(removed.map(item => item.id)).to.deep.equal([1]);
+                expect(queue.hasPending()).to.be.false;
+                expect(storage.data.outbox).to.deep.equal([]);
+                expect(clock.countTimers()).to.equal(0);
+            });
+    });
+
+    it('should only load the messages of the given chat', () => {
+        const storage = createStorage();
+        storage.data.outbox = [{ id: 1, chatId: 'old' }, { id: 2, chatId: 'current' }];
+        const queue = new MessageQueue(storage, () => Promise.resolve());
+
+        return queue.load('current')
+            .then((discarded) => {
+                expect(discarded.map(item => item.id)).to.deep.equal([1]);
+                expect(queue.items.map(item => item.id)).to.deep.equal([2]);
+            });
+    });
+
+    it('should keep the messages while paused and send them to the chat when resumed', () => {
+        const storage = createStorage();
+        const sent = [];
+        const queue = new MessageQueue(storage, (item) => {
+            sent.push(item.chatId);
+            return Promise.resolve();
+        });
+
+        queue.pause();
+        return queue.push({ id: 1, message: 'a', chatId: null })
+            .then(() => {
+                expect(sent).to.be.empty;
+                return queue.resume('chat');
+            })
+            .then(() => {
+                expect(sent).to.deep.equal(['chat']);
+            });
+    });
+});
@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import QueueMonitor from './../lib/QueueMonitor.js';
+
+// let the pending promise callbacks run with the fake timers
+const flushPromises = () => {
+    let promise = Promise.resolve();
+    for (let i = 0; i < 10; i++) {
+        promise = promise.then(() => {});
+    }
+    return promise;
+};
+
+describe('QueueMonitor', () => {
+    let clock, agents, icf, updates;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(new Date('2026-01-01T10:00:00Z'));
+        agents = 2;
+        icf = {
+            Api: {
+                request: sinon.spy(() => Promise.resolve({ data: { agents: { 1: agents } } })),
+            },
+        };
+        updates = [];
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    const createMonitor = (options = {}) => new QueueMonitor(options, data => updates.push(data), () => icf);
+
+    it('should estimate the wait from the available agents of the room and language', () => {
+        const monitor = createMonitor({ averageWaitTime: 120 });
+
+        return monitor.start({ id: 'chat-1' }, 1, 'en')
+            .then(() => {
+                expect(icf.Api.request.calledWith('/agents/available', 'GET', { roomIds: 1, langs: 'en' })).to.be.true;
+                expect(updates).to.deep.equal([{
+                    chatId: 'chat-1',
+                    room: 1,
+                    position: null,
+                    agentsAvailable: 2,
+                    estimatedWait: 60,
+                    waitingTime: 0,
+                }]);
+                monitor.stop();
+            });
+    });
+
+    it('should not estimate the wait when there are no available agents', () => {
+        agents = 0;
+        const monitor = createMonitor();
+
+        return monitor.start({ id: 'chat-1' }, 1)
+            .then(() => {
+                expect(updates[0]).to.include({ agentsAvailable: 0, estimatedWait: null });
+                monitor.stop();
+            });
+    });
+
+    it('should use the configured function to get the position', () => {
+        const getPosition = sinon.spy(() => Promise.resolve(3));
+        const monitor = createMonitor({ getPosition });
+        const chat = { id: 'chat-1' };
+
+        return monitor.start(chat, 1)
+            .then(() => {
+                expect(getPosition.calledWith(chat)).to.be.true;
+                expect(updates[0].position).to.equal(3);
+                monitor.stop();
+            });
+    });
+
+    it('should update on every interval until it is stopped', () => {
+        const monitor = createMonitor({ interval: 10, averageWaitTime: 60 });
+
+        return monitor.start({ id: 'chat-1' }, 1)
+            .then(() => {
+                clock.tick(10000);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(updates.map(update => update.waitingTime)).to.deep.equal([0, 10]);
+                expect(updates[1].estimatedWait).to.equal(25);
+
+                monitor.stop();
+                expect(monitor.isRunning()).to.be.false;
+                clock.tick(60000);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(updates).to.have.lengthOf(2);
+            });
+    });
+
+    it('should ignore the failed updates and the ones that finish after it is stopped', () => {
+        icf.Api.request = () => Promise.reject(new Error('Network error'));
+        const monitor = createMonitor();
+
+        return monitor.start({ id: 'chat-1' }, 1)
+            .then(() => {
+                expect(updates).to.be.empty;
+                icf.Api.request = () => Promise.resolve({ data: { agents: { 1: 1 } } });
+                const update = monitor.update();
+                monitor.stop();
+                return update;
+            })
+            .then(() => {
+                expect(updates).to.be.empty;
+            });
+    });
+});
@@ -0,0 +1,48 @@
+import { expect } from 'chai';
+
+import Redactor from './../lib/Redactor.js';
+
+describe('Redactor redact', () => {
+    const redactor = new Redactor({ custom: [{ name: 'dni', pattern: /\b\d{8}[A-Z]\b/, replacement: '[dni]' }] });
+
+    it('should mask card numbers that pass the Luhn check', () => {
+        const result = redactor.redact('my card is 4111 1111 1111 1111, thanks');
+        expect(result.text).to.equal('my card is *****, thanks');
+        expect(result.rules).to.deep.equal(['card']);
+    });
+
+    it('should not mask card-like numbers that fail the Luhn check as cards', () => {
+        expect(redactor.redact('order 4111 1111 1111 1112').rules).to.not.include('card');
+    });
+
+    it('should mask emails, IBANs, phones and custom rules', () => {
+        const result = redactor.redact('john@example.com ES91 2100 0418 4502 0005 1332 +34 600 123 456 12345678Z');
+        expect(result.text).to.equal('***** ***** ***** [dni]');
+        expect(result.rules).to.deep.equal(['email', 'iban', 'phone', 'dni']);
+    });
+
+    it('should mask phones grouped like phone numbers', () => {
+        expect(redactor.redact('call me at (555) 123-4567').text).to.equal('call me at *****');
+        expect(redactor.redact('call me at 555.123.4567').text).to.equal('call me at *****');
+    });
+
+    it('should not mask numbers that are not phones', () => {
+        ['My order number is 123456789', '2024-01-15 12:30', 'Invoice 2024 0000 1234 5'].forEach((text) => {
+            const result = redactor.redact(text);
+            expect(result.text, text).to.equal(text);
+            expect(result.rules, text).to.be.empty;
+        });
+    });
+
+    it('should only apply the selected built-in rules', () => {
+        const emailOnly = new Redactor({ rules: ['email'] });
+        expect(emailOnly.redact('4111111111111111 john@example.com').text).to.equal('4111111111111111 *****');
+    });
+
+    it('should mask the string values of nested objects', () => {
+        const result = redactor.redactObject({ note: 'mail me at john@example.com', ids: ['12345678Z'], age: 30 });
+        expect(result.data).to.deep.equal({ note: 'mail me at *****', ids: ['[dni]'], age: 30 });
+        expect(result.rules).to.deep.equal(['email', 'dni']);
+    });
+
+});
@@ -0,0 +1,135 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import { SDKLoader } from './../lib/SDKLoader.js';
+import { Conf } from './../lib/Conf.js';
+import SDKLoadError from './../lib/Error/SDKLoadError.js';
+
+const createDocument = () => {
+    const scripts = [];
+    const head = {
+        appendChild: (element) => {
+            element.parentNode = head;
+            scripts.push(element);
+        },
+        removeChild: (element) => {
+            scripts.splice(scripts.indexOf(element), 1);
+            element.parentNode = null;
+        },
+    };
+    return {
+        head,
+        scripts,
+        createElement: () => ({ setAttribute (name, value) { this[name] = value; } }),
+        getElementsByTagName: () => [],
+        getElementById: id => scripts.find(script => script.id === id) || null,
+    };
+};
+
+// let the pending promise callbacks run, fake timers don't do it
+const flush = () => {
+    let promise = Promise.resolve();
+    for (let i = 0; i < 5; i++) {
+        promise = promise.then(() => {});
+    }
+    return promise;
+};
+
+describe('SDKLoader', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        global.window = {};
+        global.document = createDocument();
+    });
+
+    afterEach(() => {
+        clock.restore();
+        delete global.window;
+        delete global.document;
+    });
+
+    const createLoader = (values = {}) => {
+        const conf = new Conf();
+        conf.set(Object.assign({ appId: 'app', region: 'us', room: () => 1 }, values));
+        return new SDKLoader(conf);
+    };
+
+    it('should add the integrity hash and the nonce to the script tag', () => {
+        const loader = createLoader({ sdkUrl: 'https://cdn.example.com/icf.js', sdkIntegrity: 'sha384-abc', sdkNonce: 'n0nce' });
+        loader._loadScript();
+
+        const script = document.scripts[0];
+        expect(script.src).to.equal('https://cdn.example.com/icf.js');
+        expect(script.integrity).to.equal('sha384-abc');
+        expect(script.crossOrigin).to.equal('anonymous');
+        expect(script.nonce).to.equal('n0nce');
+    });
+
+    it('should retry and reject when the script never loads', () => {
+        const loader = createLoader({ appId: 'timeout-app', sdkLoadTimeout: 100, sdkLoadRetries: 1, sdkLoadRetryDelay: 50 });
+        const promise = loader.load();
+
+        clock.tick(100);
+        return flush()
+            .then(() => {
+                expect(document.scripts).to.have.lengthOf(0);
+                clock.tick(50);
+                expect(document.scripts).to.have.lengthOf(1);
+                clock.tick(100);
+                return promise;
+            })
+            .then(() => {
+                throw new Error('Not rejected');
+            }, (err) => {
+                expect(err).to.be.an.instanceof(SDKLoadError);
+                expect(err.cause.message).to.contain('did not load in 100ms');
+                expect(document.scripts).to.have.lengthOf(0);
+            });
+    });
+
+    it('should reject when the script fails to load', () => {
+        const loader = createLoader({ appId: 'error-app', sdkLoadRetries: 0 });
+        const promise = loader.load();
+        document.scripts[0].onerror();
+
+        return promise.then(() => {
+            throw new Error('Not rejected');
+        }, (err) => {
+            expect(err).to.be.an.instanceof(SDKLoadError);
+            expect(err.context.sdkUrl).to.equal('https://sdk.inbenta.chat/1/icf.sdk.js');
+        });
+    });
+
+    it('should initialize the supplied ICF without loading the script', () => {
+        const icf = { Api: {}, Lobby: {}, Chat: {}, Connection: {}, Events: {}, Helper: {}, init: sinon.stub().resolves() };
+        const loader = createLoader({ icf });
+
+        return Promise.all([loader.load(), loader.load()])
+            .then(() => {
+                expect(icf.init.calledOnce).to.be.true;
+                expect(icf.init.firstCall.args[0].appId).to.equal('app');
+                expect(document.scripts).to.have.lengthOf(0);
+                expect(loader.getICF()).to.equal(icf);
+            });
+    });
+
+    it('should warn when the cookie domain does not match the current host', () => {
+        const warn = sinon.stub(console, 'warn');
+        const icf = { Api: {}, Lobby: {}, Chat: {}, Connection: {}, Events: {}, Helper: {}, isInit: true };
+        window.location = { hostname: 'www.example.com' };
+
+        try {
+            createLoader({ icf, setCookieOnDomain: '.example.com' }).load();
+            expect(warn.called).to.be.false;
+            const loader = createLoader({ icf, setCookieOnDomain: 'example.org' });
+            loader.load();
+            loader.load();
+            expect(warn.calledOnce).to.be.true;
+            expect(warn.firstCall.args[0]).to.contain('"example.org" does not match the current host "www.example.com"');
+        } finally {
+            warn.restore();
+        }
+    });
+});
@@ -0,0 +1,100 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import Storage from './../lib/Storage.js';
+import { Conf } from './../lib/Conf.js';
+import { createStorage } from './mockups/browser.js';
+
+const createConf = (values = {}) => {
+    const conf = new Conf();
+    conf.set(Object.assign({ appId: 'app', region: 'us', room: () => 1, storage: 'memory' }, values));
+    return conf;
+};
+
+describe('Storage', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(new Date('2026-01-01T10:00:00Z'));
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should use the sessionStorage given to the constructor instead of the configured backend', () => {
+        const area = { values: {}, getItem (key) { return this.values[key] || null; }, setItem (key, value) { this.values[key] = value; } };
+        global.window = { sessionStorage: area };
+        const backend = createStorage();
+        const storage = new Storage(createConf({ storage: backend }), 'sessionStorage');
+
+        return storage.setItem('preChat', { name: 'Jane' })
+            .then(() => {
+                delete global.window;
+                expect(backend.data).to.be.empty;
+                expect(JSON.parse(area.values['app:preChat']).value).to.deep.equal({ name: 'Jane' });
+
+                // without sessionStorage the values are kept in memory
+                const fallback = new Storage(createConf(), 'sessionStorage');
+                return fallback.setItem('preChat', 1).then(() => fallback.getItem('preChat'));
+            })
+            .then((value) => {
+                expect(value).to.equal(1);
+            });
+    });
+
+    it('should namespace the keys by appId', () => {
+        const backend = createStorage();
+        const storage = new Storage(createConf({ storage: backend }));
+
+        return storage.setItem('lastClosedTime', 10)
+            .then(() => {
+                expect(Object.keys(backend.data)).to.deep.equal(['app:lastClosedTime']);
+                return new Storage(createConf({ appId: 'other', storage: backend })).getItem('lastClosedTime');
+            })
+            .then((value) => {
+                expect(value).to.be.null;
+                return storage.getItem('lastClosedTime');
+            })
+            .then((value) => {
+                expect(value).to.equal(10);
+            });
+    });
+
+    it('should expire the pending survey after the default TTL', () => {
+        const storage = new Storage(createConf());
+
+        return storage.setItem('survey', { pending: true })
+            .then(() => {
+                clock.tick(59 * 60 * 1000);
+                return storage.getItem('survey');
+            })
+            .then((survey) => {
+                expect(survey).to.deep.equal({ pending: true });
+                clock.tick(60 * 1000);
+                return storage.getItem('survey');
+            })
+            .then((survey) => {
+                expect(survey).to.be.null;
+            });
+    });
+
+    it('should use the configured TTL', () => {
+        const storage = new Storage(createConf({ storageTtl: { previousToken: 10, survey: null } }));
+
+        return storage.setItem('previousToken', 'token')
+            .then(() => storage.setItem('survey', { pending: true }))
+            .then(() => {
+                clock.tick(24 * 60 * 60 * 1000);
+                return Promise.all([storage.getItem('previousToken'), storage.getItem('survey')]);
+            })
+            .then((values) => {
+                expect(values).to.deep.equal([null, { pending: true }]);
+            });
+    });
+
+    it('should reject invalid backends in the configuration', () => {
+        expect(() => createConf({ storage: 'cookies' })).to.throw('"storage"');
+        expect(() => createConf({ storage: { getItem: () => {} } })).to.throw('"storage"');
+    });
+});
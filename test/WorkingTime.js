@@ -0,0 +1,87 @@
+import { expect } from 'chai';
+
+import WorkingTime from './../lib/WorkingTime.js';
+
+const schedule = {
+    timezone: 'Europe/Madrid',
+    hours: {
+        monday: ['09:00-14:00', '15:00-18:00'],
+        saturday: ['10:00-12:00'],
+    },
+    rooms: {
+        '2': { sunday: ['10:00-14:00'] },
+    },
+    holidays: ['2026-12-25'],
+    exceptions: { '2026-12-24': ['09:00-13:00'] },
+    specialOpenings: [{ from: '2026-12-27 10:00', to: '2026-12-27 14:00' }],
+};
+
+describe('WorkingTime validate', () => {
+
+    it('should accept a valid schedule', () => {
+        expect(WorkingTime.validate(schedule)).to.be.true;
+    });
+
+    it('should reject an unknown timezone', () => {
+        expect(WorkingTime.validate({ timezone: 'Mars/Olympus' })).to.be.false;
+    });
+
+    it('should reject malformed hour ranges', () => {
+        expect(WorkingTime.validate({ hours: { monday: ['9-18'] } })).to.be.false;
+        expect(WorkingTime.validate({ hours: { funday: ['09:00-18:00'] } })).to.be.false;
+        expect(WorkingTime.validate({ hours: { monday: ['09:00-25:00'] } })).to.be.false;
+    });
+
+    it('should reject the ranges that do not end after they start', () => {
+        expect(WorkingTime.validate({ hours: { friday: ['22:00-02:00'] } })).to.be.false;
+        expect(WorkingTime.validate({ exceptions: { '2026-12-24': ['13:00-13:00'] } })).to.be.false;
+        expect(WorkingTime.validate({ specialOpenings: [{ from: '2026-12-27 14:00', to: '2026-12-27 10:00' }] })).to.be.false;
+        // overnight openings are split between the two days
+        expect(WorkingTime.validate({ hours: { friday: ['22:00-24:00'], saturday: ['00:00-02:00'] } })).to.be.true;
+    });
+
+});
+
+describe('WorkingTime isOpen', () => {
+    const workingTime = new WorkingTime(schedule);
+
+    it('should follow the weekly hours in the schedule timezone', () => {
+        // Monday 2026-10-19 10:30 in Madrid (UTC+2)
+        expect(workingTime.isOpen(new Date('2026-10-19T08:30:00Z'))).to.be.true;
+        // Monday 2026-10-19 14:30 in Madrid
+        expect(workingTime.isOpen(new Date('2026-10-19T12:30:00Z'))).to.be.false;
+        // Tuesday is not in the schedule
+        expect(workingTime.isOpen(new Date('2026-10-20T08:30:00Z'))).to.be.false;
+    });
+
+    it('should use the room hours when defined', () => {
+        // Sunday 2026-10-25 11:00 in Madrid (UTC+1)
+        expect(workingTime.isOpen(new Date('2026-10-25T10:00:00Z'), 2)).to.be.true;
+        expect(workingTime.isOpen(new Date('2026-10-25T10:00:00Z'), 1)).to.be.false;
+    });
+
+    it('should be closed on holidays and follow the exceptions', () => {
+        // Friday 2026-12-25 10:00 in Madrid
+        expect(workingTime.isOpen(new Date('2026-12-25T09:00:00Z'))).to.be.false;
+        // Thursday 2026-12-24 10:00 and 13:30 in Madrid
+        expect(workingTime.isOpen(new Date('2026-12-24T09:00:00Z'))).to.be.true;
+        expect(workingTime.isOpen(new Date('2026-12-24T12:30:00Z'))).to.be.false;
+    });
+
+    it('should be open during special openings', () => {
+        // Sunday 2026-12-27 11:00 in Madrid
+        expect(workingTime.isOpen(new Date('2026-12-27T10:00:00Z'))).to.be.true;
+    });
+
+    it('should stay open past midnight with the opening split between the two days', () => {
+        const overnight = new WorkingTime({ timezone: 'UTC', hours: { friday: ['22:00-24:00'], saturday: ['00:00-02:00'] } });
+        expect(overnight.isOpen(new Date('2026-10-23T23:59:00Z'))).to.be.true;
+        expect(overnight.isOpen(new Date('2026-10-24T00:00:00Z'))).to.be.true;
+        expect(overnight.isOpen(new Date('2026-10-24T02:00:00Z'))).to.be.false;
+    });
+
+    it('should always be open without weekly hours', () => {
+        expect((new WorkingTime({})).isOpen(new Date('2026-10-20T08:30:00Z'))).to.be.true;
+    });
+
+});
@@ -1,5 +0,0 @@
-'use strict';
-
-export default {
-    escalateToAgent: () => {},
-};
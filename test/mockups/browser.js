@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Minimal browser globals the adapter needs to run in node: window events and a cookie jar.
+ * With "blockCookies" the cookies are silently rejected, like the browsers that block third party cookies
+ */
+export const installBrowser = ({ blockCookies = false } = {}) => {
+    const cookies = {};
+    const listeners = {};
+    const documentListeners = {};
+
+    global.window = {
+        location: { href: 'https://www.example.com/', hostname: 'www.example.com' },
+        addEventListener: (name, callback) => {
+            listeners[name] = (listeners[name] || []).concat([callback]);
+        },
+        removeEventListener: () => {},
+        dispatch: (name, event) => (listeners[name] || []).forEach(callback => callback(event)),
+        open: () => {},
+    };
+    global.document = {
+        getElementById: () => null,
+        // elements without parser, the HTML is kept as is
+        createElement: () => ({
+            set innerHTML (html) {
+                this.value = html;
+            },
+        }),
+        addEventListener: (name, callback) => {
+            documentListeners[name] = (documentListeners[name] || []).concat([callback]);
+        },
+        removeEventListener: (name, callback) => {
+            documentListeners[name] = (documentListeners[name] || []).filter(listener => listener !== callback);
+        },
+        dispatch: (name, event) => (documentListeners[name] || []).forEach(callback => callback(event)),
+    };
+    Object.defineProperty(global.document, 'cookie', {
+        get: () => Object.keys(cookies).map(name => name + '=' + cookies[name]).join('; '),
+        set: (value) => {
+            if (blockCookies) {
+                return;
+            }
+            const pair = value.split(';')[0].split('=');
+            const expires = /expires=([^;]+)/.exec(value);
+            if (expires && Date.parse(expires[1]) < Date.now()) {
+                delete cookies[pair[0]];
+            } else {
+                cookies[pair[0]] = pair.slice(1).join('=');
+            }
+        },
+    });
+};
+
+export const uninstallBrowser = () => {
+    delete global.window;
+    delete global.document;
+};
+
+export const createStorage = () => {
+    const data = {};
+    return {
+        getItem: key => Promise.resolve(data.hasOwnProperty(key) ? data[key] : null),
+        setItem: (key, value) => {
+            data[key] = JSON.parse(JSON.stringify(value));
+            return Promise.resolve(value);
+        },
+        removeItem: (key) => {
+            delete data[key];
+            return Promise.resolve();
+        },
+        data,
+    };
+};
@@ -1,6 +0,0 @@
-'use strict';
-
-export default {
-    room: () => {},
-    lang: () => {},
-};
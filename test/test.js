@@ -1,41 +1,48 @@
 import { expect } from 'chai';
-import sinon from 'sinon';
 
-import index from './../lib';
-import HCAdapter from './../lib/HCAdapter.js';
-import botMock from './mockups/bot.js';
-import confMock from './mockups/conf.js';
+import * as index from './../lib';
+import AdapterInstance from './../lib/AdapterInstance.js';
+import { FakeBot } from './../lib/testing';
+import { installBrowser, uninstallBrowser } from './mockups/browser.js';
 
 describe('index', () => {
-
-    it('should be a function', () => {
-        expect(index).to.be.a('function');
-    });
-
-    it('should receive an object as first argument', () => {
-        expect(index.bind(index, confMock)).to.not.throw();
+    beforeEach(installBrowser);
+    afterEach(uninstallBrowser);
+
+    it('should export the public API', () => {
+        ['configure', 'setRoomFunction', 'getConfiguration', 'build', 'createInstance', 'checkEscalationConditions',
+            'validateHyperchatApp', 'startChat', 'closeChat', 'isChatOpen', 'getChatState', 'getChatInfo', 'sendSystemMessage', 'cancelUpload']
+            .forEach((name) => {
+                expect(index[name], name).to.be.a('function');
+            });
+        expect(index.events.on).to.be.a('function');
+        expect(index.errors.HCError).to.be.a('function');
     });
 
-    it('should throw if first argument is not an object', () => {
-        expect(index.bind(index, '')).to.throw();
+    it('should throw if the configuration is not an object', () => {
+        expect(() => index.configure('')).to.throw(index.errors.ConfigError);
     });
 
-    it('should return a function', () => {
-        let adapter = index(confMock);
-        expect(adapter).to.be.a('function');
-    });
-
-    it('the function returned should receive a bot instance as first argument', () => {
-        let adapter = index(confMock);
-        expect(adapter.bind(adapter, botMock)).to.not.throw();
+    it('build should return a function', () => {
+        expect(index.build()).to.be.a('function');
     });
 
     it('the function returned should throw if first argument is not an object', () => {
-        let adapter = index(confMock);
-        expect(adapter.bind(adapter, 12)).to.throw();
+        expect(() => index.build()(12)).to.throw('Invalid argument');
     });
 
-    it('should create a new HCAdapter object', () => {
+    it('the function returned should return the control API', () => {
+        const instance = index.createInstance({ appId: 'test', region: 'us', room: () => 1 });
+        instance.storage = { getItem: () => Promise.resolve(null) };
+        const api = instance.build()(new FakeBot());
+        expect(api.startChat).to.be.a('function');
+        expect(api.getChatInfo()).to.include({ chatId: null, state: 'idle' });
+    });
 
+    it('createInstance should return an isolated instance', () => {
+        const instance = index.createInstance({ appId: 'other', region: 'us', room: () => 2 });
+        expect(instance).to.be.an.instanceof(AdapterInstance);
+        expect(instance.events).to.not.equal(index.events);
+        expect(instance.getConfiguration().appId).to.equal('other');
     });
-});
\ No newline at end of file
+});